@@ -9,17 +9,49 @@
  * Provides intelligent suggestions based on file changes and commit messages.
  *
  * Usage:
- *   pr-summary [base-branch] [--output file.md] [--config path/to/config.json]
+ *   pr-summary [command] [base-branch] [options]
+ *
+ * Commands:
+ *   generate   Write the PR summary and copy the AI prompt (default)
+ *   prompt     Print the AI agent prompt
+ *   analyze    Print the change analysis without writing files
  *
  * Examples:
  *   pr-summary
  *   pr-summary main --output MY_PR.md
  *   pr-summary develop --config .prsummaryrc.json
+ *   pr-summary main --format json --stdout
+ *   pr-summary analyze --from v1.2.0 --to HEAD
+ *   pr-summary --help
  */
 
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { CliError, formatHelp, parseArgs } = require('../lib/cli');
+const { ConfigError, parseConfig, validateConfig } = require('../lib/config');
+const { parseCommitMessage } = require('../lib/conventional-commits');
+const { isTestFile, measureCoverage, pairTests, readCoverageReport } = require('../lib/coverage');
+const { compileExcludes, isExcluded, matchExclude } = require('../lib/exclude');
+const { diffManifest, findLockfileOnlyChanges, isManifest } = require('../lib/dependencies');
+const { buildCodeContext, renderCodeContext, splitDiff } = require('../lib/diff');
+const { buildRelease, renderRelease, suggestVersion, updateChangelog } = require('../lib/changelog');
+const { globToRegExp } = require('../lib/glob');
+const { analyzeHygiene, formatHygiene } = require('../lib/hygiene');
+const { inspectRepository } = require('../lib/init');
+const { compileTrackers, findIssues, formatIssue } = require('../lib/issues');
+const { lintSummary } = require('../lib/lint');
+const { LlmError, buildChatRequest, sendChatRequest, unfence } = require('../lib/llm');
+const { FORMAT_EXTENSIONS, renderSummary } = require('../lib/render');
+const { updateSummary } = require('../lib/update');
+const { detectWorkspaces, findDependents, findPackage, readWorkspacePatterns } = require('../lib/workspaces');
+const { evaluateRules, mergeRules, validateRule } = require('../lib/rules');
+const { scoreRisk } = require('../lib/risk');
+const { formatSecrets, redactSecrets, scanSecrets } = require('../lib/secrets');
+const { findStack, formatStackLinks } = require('../lib/stack');
+const { TemplateError, renderTemplate } = require('../lib/template');
+
+const { version: packageVersion } = require('../package.json');
 
 // ANSI color codes
 const colors = {
@@ -32,10 +64,21 @@ const colors = {
   cyan: '\x1b[36m',
 };
 
+/**
+ * Turn off colored output (--no-color / NO_COLOR)
+ */
+function disableColors() {
+  Object.keys(colors).forEach((name) => {
+    colors[name] = '';
+  });
+}
+
 // Default configuration
 const defaultConfig = {
   baseBranch: 'main',
   outputFile: 'PR_SUMMARY.md',
+  format: 'markdown',
+  emoji: true,
   templatePath: null,
   guidePath: null,
   excludePatterns: [
@@ -54,9 +97,258 @@ const defaultConfig = {
     /^package-lock\.json$/,
     /^yarn\.lock$/,
   ],
+  extendExcludes: [],
+  categories: [
+    {
+      key: 'components',
+      label: 'Components',
+      match: ['components/'],
+      order: 10,
+      suggestions: ['📸 Consider adding screenshots for UI changes', '♿ Verify accessibility with screen reader'],
+      checklist: [
+        'Tested on multiple browsers (if UI change)',
+        'Tested on mobile (if responsive change)',
+        'Tested with screen reader (if a11y change)',
+      ],
+    },
+    {
+      key: 'hooks',
+      label: 'Hooks',
+      match: ['hooks/'],
+      order: 20,
+      suggestions: ['🧪 Add unit tests for custom hooks'],
+    },
+    {
+      key: 'utils',
+      label: 'Utilities',
+      match: ['utils/'],
+      order: 30,
+      suggestions: ['📊 Aim for 100% test coverage on utility functions'],
+    },
+    {
+      key: 'types',
+      label: 'Types',
+      match: ['types/'],
+      order: 40,
+      suggestions: ['📝 Update JSDoc comments for type changes'],
+    },
+    {
+      key: 'styles',
+      label: 'Styles',
+      match: ['*.{scss,css,less,sass}'],
+      order: 50,
+      suggestions: ['🎨 Test responsive design on mobile devices', '🌓 Verify dark mode compatibility (if applicable)'],
+    },
+    { key: 'tests', label: 'Tests', match: ['*.{test,spec}.{ts,tsx,js,jsx}'], order: 60 },
+    { key: 'scripts', label: 'Scripts', match: ['scripts/'], order: 70 },
+    { key: 'docs', label: 'Documentation', match: ['*.md'], order: 80 },
+    { key: 'config', label: 'Configuration', match: ['*.{json,yml,yaml}', '*.config.{ts,js}'], order: 90 },
+    { key: 'other', label: 'Other Files', order: 1000 },
+  ],
+  rules: [],
+  plugins: [],
+  lint: {
+    placeholders: [
+      '[Brief Description]',
+      '#issue_number',
+      '[High/Medium/Low]',
+      'TODO: Add key code snippet',
+      'What happens (error, unexpected behavior)',
+      'Safe to deploy immediately / ⚠️ Requires coordination',
+    ],
+    requiredSections: ['Problem Statement', 'Solution'],
+    requiredChecks: ['Regression testing completed', 'Self-review completed'],
+  },
+  prompt: {
+    budget: 6000,
+    budgetUnit: 'tokens',
+  },
+  tests: {
+    patterns: [
+      '{dir}/{name}.test.{ext}',
+      '{dir}/{name}.spec.{ext}',
+      '{dir}/__tests__/{name}.{ext}',
+      '{dir}/__tests__/{name}.test.{ext}',
+      '{dir}/{name}_test.{ext}',
+      '{dir}/test_{name}.{ext}',
+      'tests/test_{name}.{ext}',
+      'test/{path}.test.{ext}',
+    ],
+    ignore: ['*.d.ts', '*.config.{js,cjs,mjs,ts}', '*.stories.{js,jsx,ts,tsx}', '*.generated.*', '__generated__/'],
+    coverageReports: ['coverage/lcov.info', 'coverage/coverage-summary.json'],
+  },
+  issues: {
+    trackers: [
+      {
+        name: 'github',
+        pattern: '(?<repo>[\\w.-]+/[\\w.-]+)?#(?<key>\\d+)',
+        // Only a number right after the type prefix, so `hotfix/2024-05-01-login` names no issue
+        branchPattern: '^(?:[\\w.-]+/)?(?<key>\\d+)[-_][A-Za-z]',
+        format: '#{key}',
+        url: null,
+      },
+      { name: 'jira', pattern: '\\b(?!(?:UTF|SHA|ISO|AES|RFC)-)[A-Z][A-Z0-9]+-\\d+\\b', url: null },
+    ],
+    branchAction: 'related',
+    required: false,
+  },
+  hygiene: {
+    enabled: true,
+    maxSubjectLength: 72,
+    largeCommitLines: 100,
+    mixedCategories: 4,
+    ignoreCategories: ['tests', 'docs'],
+  },
+  secrets: {
+    enabled: true,
+    minEntropy: 4.5,
+    minLength: 20,
+    ignore: ['*.lock', 'package-lock.json', 'pnpm-lock.yaml', 'go.sum', '*.min.js', '*.map', '*.snap', '*.svg'],
+    allow: [],
+  },
+  risk: {
+    medium: 3,
+    high: 6,
+    factors: {
+      size: { weight: 3, lines: [1000, 2000] },
+      largeFiles: { weight: 3, lines: 200, files: [3, 6] },
+      deletedRatio: { weight: 3, ratio: 0.67, minLines: 20 },
+      sensitivePaths: {
+        weight: 3,
+        paths: [
+          'auth/',
+          'auth.*',
+          'security/',
+          'permissions/',
+          'payment/',
+          'payments/',
+          'billing/',
+          'checkout/',
+          'migrations/',
+          'db/migrate/',
+          'prisma/schema.prisma',
+          '.github/workflows/',
+          '/.gitlab-ci.yml',
+          '.circleci/',
+          '/Jenkinsfile',
+          'Dockerfile',
+          '*.tf',
+        ],
+      },
+      packages: { weight: 2, packages: 3 },
+      testRatio: { weight: 2, ratio: 0.1, minLines: 100 },
+      newDependencies: { weight: 2 },
+      churn: { weight: 1, days: 90, commits: 10 },
+    },
+  },
+  llm: {
+    endpoint: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    apiKeyEnv: 'PR_SUMMARY_API_KEY',
+    maxDiffTokens: 6000,
+    temperature: 0.2,
+    timeout: 120000,
+    retries: 2,
+  },
+};
+
+// Built-in suggestion rules; config `rules` with the same id override them
+const defaultRules = [
+  {
+    id: 'no-tests',
+    severity: 'warning',
+    message: '⚠️  No test files modified - consider adding tests',
+    when: { missingCategories: ['tests'], excludePrTypes: ['Docs'] },
+  },
+  {
+    id: 'console-log',
+    severity: 'warning',
+    message: '🐛 console.log added - remove debug output before merging',
+    when: { files: ['*.{js,jsx,ts,tsx,mjs,cjs,vue,svelte}'], addedLines: '\\bconsole\\.(log|debug)\\(' },
+  },
+  {
+    id: 'untested-files',
+    severity: 'warning',
+    message: '🧪 Some changed source files have no test changes',
+    // Without any test changes, `no-tests` already warns
+    when: { categories: ['tests'] },
+    test: (facts) => facts.testCoverage.files.filter((entry) => entry.status !== 'tested').map((entry) => entry.file),
+  },
+  {
+    id: 'todo-added',
+    severity: 'info',
+    message: '📌 New TODO/FIXME comments added - consider tracking them as issues',
+    when: { addedLines: '\\b(TODO|FIXME)\\b' },
+  },
+  {
+    id: 'migrations',
+    severity: 'warning',
+    message: '🗄️  Database migration touched - describe rollout and rollback steps',
+    when: { files: ['migrations/', 'db/migrate/'] },
+  },
+  {
+    id: 'large-pr',
+    severity: 'info',
+    message: '✂️  Large PR - consider splitting it for easier review',
+    when: { minChangedLines: 1000 },
+  },
+];
+
+// Headings for suggestion severities
+const severityLabels = {
+  error: '🚫 Errors',
+  warning: '⚠️  Warnings',
+  info: '💡 Info',
 };
 
-// Load configuration from file
+// Version of the JSON document written by `--format json`
+const REPORT_SCHEMA_VERSION = 1;
+
+// Built-in PR template, used when `templatePath` is not configured
+const defaultTemplatePath = path.join(__dirname, '..', 'templates', 'default.md');
+
+// PR types and their emoji, in tie-break order
+const prTypes = {
+  Fix: '🐛',
+  Feature: '✨',
+  Refactor: '♻️',
+  Performance: '⚡',
+  Docs: '📝',
+  Test: '🧪',
+  Chore: '🔧',
+};
+
+// Conventional Commits types mapped to PR types
+const commitTypeMap = {
+  fix: 'Fix',
+  feat: 'Feature',
+  refactor: 'Refactor',
+  perf: 'Performance',
+  docs: 'Docs',
+  test: 'Test',
+  build: 'Chore',
+  ci: 'Chore',
+  chore: 'Chore',
+  style: 'Chore',
+  revert: 'Chore',
+};
+
+// Whole-word keywords for commits that don't follow Conventional Commits
+const typeKeywords = [
+  ['Fix', /\b(fix(es|ed)?|bug(fix)?|resolve[sd]?)\b/],
+  ['Feature', /\b(feat(ure)?|add(s|ed)?|implement(s|ed)?)\b/],
+  ['Refactor', /\b(refactor(s|ed|ing)?|restructure[sd]?)\b/],
+  ['Performance', /\b(perf|performance|optimi[sz](e[sd]?|ation))\b/],
+  ['Docs', /\b(docs?|documentation)\b/],
+  ['Test', /\b(tests?|specs?)\b/],
+];
+
+/**
+ * Load configuration from file, merged over the defaults.
+ * Exits with line-level messages if the file is not valid JSON or fails the config schema.
+ * @param {string} [configPath] - Path from --config; otherwise the usual file names are tried
+ * @returns {object} Config
+ */
 function loadConfig(configPath) {
   const configFiles = [
     configPath,
@@ -65,14 +357,23 @@ function loadConfig(configPath) {
     'prsummary.config.json',
   ].filter(Boolean);
 
+  if (configPath && !fs.existsSync(path.resolve(process.cwd(), configPath))) {
+    console.error(`${colors.red}❌ Error: Config file not found: ${configPath}${colors.reset}`);
+    process.exit(1);
+  }
+
   for (const file of configFiles) {
     const fullPath = path.resolve(process.cwd(), file);
     if (fs.existsSync(fullPath)) {
       try {
-        const userConfig = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        const userConfig = parseConfig(fs.readFileSync(fullPath, 'utf8'), file);
         return { ...defaultConfig, ...userConfig };
       } catch (error) {
-        console.warn(`${colors.yellow}⚠️  Warning: Could not parse config file ${file}${colors.reset}`);
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(`${colors.red}❌ Error: Invalid config file ${file}${colors.reset}`);
+        error.problems.forEach((problem) => console.error(`   ${problem}`));
+        console.error(`${colors.cyan}   → Fix the file, or run "pr-summary init --force" to write a new one${colors.reset}`);
+        process.exit(1);
       }
     }
   }
@@ -80,16 +381,235 @@ function loadConfig(configPath) {
   return defaultConfig;
 }
 
+// Options shared by every command
+const globalOptions = {
+  config: { type: 'string', alias: 'c', valueName: 'path', description: 'Config file (default: .prsummaryrc.json)' },
+  color: { type: 'boolean', default: true, description: 'Disable colored output (or set NO_COLOR)' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help' },
+  version: { type: 'boolean', alias: 'v', description: 'Show version' },
+};
+
+// Options that select which changes are summarized
+const rangeOptions = {
+  from: { type: 'string', valueName: 'ref', description: 'Start of an explicit range (skips the merge base lookup)' },
+  to: { type: 'string', valueName: 'ref', description: 'End of the range (default: HEAD)' },
+  package: { type: 'string', alias: 'p', valueName: 'name', description: 'Only summarize one workspace package' },
+  exclude: { type: 'array', alias: 'x', valueName: 'pattern', description: 'Exclude files (repeatable)' },
+  include: { type: 'array', alias: 'i', valueName: 'pattern', description: 'Re-include excluded files (repeatable)' },
+  'explain-excludes': { type: 'boolean', description: 'List excluded files and the pattern that dropped them' },
+  'include-staged': { type: 'boolean', description: 'Include staged changes that are not committed yet' },
+  'include-working': { type: 'boolean', description: 'Include staged, unstaged and untracked changes' },
+};
+
+// Formats `generate` writes: the summary for a platform, or the JSON document
+const summaryFormats = [...Object.keys(FORMAT_EXTENSIONS), 'json'];
+
+// Subcommands; `generate` runs when none is given
+const commands = {
+  generate: {
+    summary: 'Write a PR summary template and copy the AI prompt (default)',
+    usage: 'pr-summary [generate] [base-branch] [options]',
+    options: {
+      ...rangeOptions,
+      output: { type: 'string', alias: 'o', valueName: 'file', description: 'Output file (default: PR_SUMMARY.md)' },
+      format: { type: 'string', alias: 'f', choices: summaryFormats, description: 'Output format' },
+      emoji: { type: 'boolean', default: true, description: 'Leave emoji out of the summary' },
+      stdout: { type: 'boolean', description: 'Print to stdout instead of writing a file' },
+      force: { type: 'boolean', description: 'Overwrite the summary instead of keeping what was filled in' },
+      stack: { type: 'boolean', description: 'Write a summary for each branch of the stack HEAD belongs to' },
+      fill: { type: 'boolean', description: 'Fill the summary with the configured LLM endpoint' },
+      'dry-run': { type: 'boolean', description: 'With --fill, print the request instead of sending it' },
+      strict: { type: 'boolean', description: 'Exit with an error when added lines contain possible secrets' },
+    },
+    examples: [
+      'pr-summary',
+      'pr-summary develop --output MY_PR.md',
+      'pr-summary main --format=json --stdout',
+      'pr-summary --from v1.2.0 --to HEAD',
+      'pr-summary --format gitlab --no-emoji --stdout',
+      'pr-summary --force',
+      'pr-summary main --stack',
+      'pr-summary --fill --dry-run',
+    ],
+    run: runGenerate,
+  },
+  prompt: {
+    summary: 'Print the AI agent prompt',
+    usage: 'pr-summary prompt [base-branch] [options]',
+    options: {
+      ...rangeOptions,
+      output: { type: 'string', alias: 'o', valueName: 'file', description: 'Summary file the prompt refers to' },
+      copy: { type: 'boolean', description: 'Copy to the clipboard instead of printing' },
+      strict: { type: 'boolean', description: 'Exit with an error when added lines contain possible secrets' },
+    },
+    examples: ['pr-summary prompt main | pbcopy', 'pr-summary prompt --copy'],
+    run: runPrompt,
+  },
+  analyze: {
+    summary: 'Print the change analysis without writing files',
+    usage: 'pr-summary analyze [base-branch] [options]',
+    options: {
+      ...rangeOptions,
+      format: { type: 'string', alias: 'f', choices: ['text', 'json'], description: 'Output format (default: text)' },
+      strict: { type: 'boolean', description: 'Exit with an error when added lines contain possible secrets' },
+    },
+    examples: ['pr-summary analyze', 'pr-summary analyze develop --format json', 'pr-summary analyze --strict'],
+    run: runAnalyze,
+  },
+  init: {
+    summary: 'Inspect the repository and write .prsummaryrc.json',
+    usage: 'pr-summary init [options]',
+    options: {
+      yes: { type: 'boolean', alias: 'y', description: 'Accept the detected settings without asking' },
+      force: { type: 'boolean', description: 'Overwrite an existing config file' },
+    },
+    examples: ['pr-summary init', 'pr-summary init --yes', 'pr-summary init --config config/prsummary.json --force'],
+    run: runInit,
+  },
+  changelog: {
+    summary: 'Add the changes since the last tag to CHANGELOG.md',
+    usage: 'pr-summary changelog [options]',
+    options: {
+      from: { type: 'string', valueName: 'ref', description: 'Previous release (default: the latest tag)' },
+      to: { type: 'string', valueName: 'ref', description: 'End of the release (default: HEAD)' },
+      release: {
+        type: 'string',
+        valueName: 'version',
+        description: 'Version heading (default: the tag at --to, else Unreleased)',
+      },
+      output: { type: 'string', alias: 'o', valueName: 'file', description: 'Changelog file (default: CHANGELOG.md)' },
+      stdout: { type: 'boolean', description: 'Print the release instead of updating the file' },
+    },
+    examples: [
+      'pr-summary changelog',
+      'pr-summary changelog --from v1.0.0 --to HEAD --release 1.1.0',
+      'pr-summary changelog --from v1.0.0 --to v1.1.0 --stdout',
+    ],
+    run: runChangelog,
+  },
+  lint: {
+    summary: 'Check a filled-in summary for leftover TODOs, placeholders and unchecked items',
+    usage: 'pr-summary lint [file] [options]',
+    options: {},
+    examples: ['pr-summary lint', 'pr-summary lint MY_PR.md'],
+    run: runLint,
+  },
+};
+
+/**
+ * Parse the command line into a command, its options and the base branch
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @returns {{command: string, explicit: boolean, options: object, positionals: string[]}} Parsed command line
+ * @throws {CliError} On bad input
+ */
+function parseCommandLine(argv) {
+  const explicit = Boolean(argv[0] && Object.prototype.hasOwnProperty.call(commands, argv[0]));
+  const command = explicit ? argv[0] : 'generate';
+  const { options, positionals } = parseArgs(explicit ? argv.slice(1) : argv, {
+    ...globalOptions,
+    ...commands[command].options,
+  });
+
+  if (positionals.length > 1) {
+    throw new CliError(`Unexpected argument "${positionals[1]}"`);
+  }
+
+  return { command, explicit, options, positionals };
+}
+
+/**
+ * Generate help text for the whole tool or one command
+ * @param {{command: string, explicit: boolean}} parsed - Parsed command line
+ * @returns {string} Help text
+ */
+function helpText(parsed) {
+  if (!parsed.explicit) {
+    return formatHelp({
+      usage: 'pr-summary [command] [base-branch] [options]',
+      description: 'Generate structured PR summaries and AI prompts from your git changes.',
+      commands: Object.entries(commands).map(([name, command]) => ({ name, summary: command.summary })),
+      options: { ...globalOptions, ...commands.generate.options },
+      examples: commands.generate.examples,
+      footer: 'Run "pr-summary <command> --help" for the options of a command.',
+    });
+  }
+
+  const command = commands[parsed.command];
+  return formatHelp({
+    usage: command.usage,
+    description: command.summary,
+    options: { ...globalOptions, ...command.options },
+    examples: command.examples,
+  });
+}
+
 // Parse command line arguments
-const args = process.argv.slice(2);
-const configIndex = args.indexOf('--config');
-const configPath = configIndex !== -1 && args[configIndex + 1] ? args[configIndex + 1] : null;
+const rawArgs = process.argv.slice(2);
+let cli;
+try {
+  cli = parseCommandLine(rawArgs);
+} catch (error) {
+  if (!(error instanceof CliError)) throw error;
+  if (rawArgs.includes('--no-color') || process.env.NO_COLOR) disableColors();
+  console.error(`${colors.red}❌ Error: ${error.message}${colors.reset}`);
+  const helpCommand = Object.prototype.hasOwnProperty.call(commands, rawArgs[0]) ? `pr-summary ${rawArgs[0]}` : 'pr-summary';
+  console.error(`${colors.cyan}   → Run "${helpCommand} --help" for usage${colors.reset}`);
+  process.exit(2);
+}
+
+if (!cli.options.color || process.env.NO_COLOR) disableColors();
+
+if (cli.options.help) {
+  process.stdout.write(helpText(cli));
+  process.exit(0);
+}
+if (cli.options.version) {
+  console.log(packageVersion);
+  process.exit(0);
+}
+
+// `init` writes the config file, so a broken existing one must not stop it
+const config = cli.command === 'init' ? defaultConfig : loadConfig(cli.options.config);
+
+// `lint` takes a file instead of a base branch
+const baseBranch = (cli.command !== 'lint' && cli.positionals[0]) || config.baseBranch;
+const outputFormat = cli.options.format || (cli.command === 'analyze' ? 'text' : config.format);
+const toStdout = Boolean(cli.options.stdout);
+const fromRef = cli.options.from || null;
+const toRef = cli.options.to || null;
+const packageFilter = cli.options.package || null;
+const uncommittedMode = cli.options.includeWorking ? 'working' : cli.options.includeStaged ? 'staged' : null;
+const outputExtension = outputFormat === 'json' ? '.json' : FORMAT_EXTENSIONS[outputFormat] || '.md';
+const outputFile =
+  cli.options.output ||
+  (outputExtension === '.md' ? config.outputFile : `${config.outputFile.replace(/\.md$/i, '')}${outputExtension}`);
+const emoji = cli.options.emoji && config.emoji !== false;
+const explainExcludes = Boolean(cli.options.explainExcludes);
+
+const llmConfig = { ...defaultConfig.llm, ...config.llm };
+const promptConfig = { ...defaultConfig.prompt, ...config.prompt };
+const testsConfig = { ...defaultConfig.tests, ...config.tests };
+const issuesConfig = { ...defaultConfig.issues, ...config.issues };
+const hygieneConfig = { ...defaultConfig.hygiene, ...config.hygiene };
+const secretsConfig = { ...defaultConfig.secrets, ...config.secrets };
+const promptBudget = { budget: promptConfig.budget, unit: promptConfig.budgetUnit };
+
+// Factors are merged one level deeper, so overriding a weight keeps the default thresholds
+const riskFactorOverrides = (config.risk && config.risk.factors) || {};
+const riskConfig = {
+  ...defaultConfig.risk,
+  ...config.risk,
+  factors: Object.fromEntries(
+    Object.entries(defaultConfig.risk.factors).map(([id, factor]) => [id, { ...factor, ...riskFactorOverrides[id] }])
+  ),
+};
 
-const config = loadConfig(configPath);
+// Progress and reports go to stderr when stdout carries the result
+const stdoutIsOutput = toStdout || Boolean(cli.options.dryRun) || cli.command !== 'generate';
 
-const baseBranch = args[0] && !args[0].startsWith('--') ? args[0] : config.baseBranch;
-const outputIndex = args.indexOf('--output');
-const outputFile = outputIndex !== -1 && args[outputIndex + 1] ? args[outputIndex + 1] : config.outputFile;
+const excludeMatchers = compileExcludePatterns();
+const categoryDefinitions = compileCategories(config.categories);
+const issueTrackers = compileIssueTrackers(issuesConfig.trackers);
 
 /**
  * Execute git command and return output
@@ -98,7 +618,7 @@ const outputFile = outputIndex !== -1 && args[outputIndex + 1] ? args[outputInde
  */
 function git(command) {
   try {
-    return execSync(`git ${command}`, { encoding: 'utf8' }).trim();
+    return execSync(`git ${command}`, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }).trim();
   } catch (error) {
     return '';
   }
@@ -118,194 +638,1245 @@ function checkGitRepo() {
   }
 }
 
+/**
+ * Resolve a ref to a commit SHA
+ * @param {string} ref - Branch, tag or SHA
+ * @returns {string|null} Full SHA, or null if the ref does not exist
+ */
+function resolveRef(ref) {
+  return git(`rev-parse --verify --quiet "${ref}^{commit}"`) || null;
+}
+
+/**
+ * Find a usable ref for the base branch: the local branch, a remote-tracking
+ * copy of it, or the default branch of a remote
+ * @param {string} branch - Configured base branch
+ * @returns {string|null} Ref to compare against
+ */
+function findBaseRef(branch) {
+  if (resolveRef(branch)) return branch;
+
+  const remotes = git('remote')
+    .split('\n')
+    .filter(Boolean)
+    .sort((a, b) => (a === 'origin' ? -1 : b === 'origin' ? 1 : 0));
+
+  const remoteBranch = remotes.map((remote) => `${remote}/${branch}`).find((ref) => resolveRef(ref));
+  if (remoteBranch) return remoteBranch;
+
+  // e.g. refs/remotes/origin/HEAD -> origin/main
+  const remoteHead = remotes
+    .map((remote) => git(`symbolic-ref --quiet --short refs/remotes/${remote}/HEAD`))
+    .find(Boolean);
+  return remoteHead || null;
+}
+
+/**
+ * Resolve the commit range the summary describes. Every git query uses this
+ * range, so commits, files and stats always agree.
+ * @param {string} branch - Base branch to compare against
+ * @param {string|null} from - Explicit start of the range (replaces the base branch)
+ * @param {string|null} to - Explicit end of the range (defaults to HEAD)
+ * @param {string|null} [uncommitted] - Also compare uncommitted changes: `staged` (the index) or `working`
+ *   (the working tree and untracked files)
+ * @returns {{base: string, from: string, to: string, head: string, uncommitted: string|null, root: string,
+ *   untracked: string[]}} Base label, start SHA, end SHA and end label; with `uncommitted`, the diffs end at the
+ *   index or working tree instead, and `untracked` lists the untracked files, relative to the repository `root`
+ */
+function resolveRange(branch, from, to, uncommitted = null) {
+  const head = to || 'HEAD';
+  const root = git('rev-parse --show-toplevel');
+  // Respects .gitignore; :/ lists the whole repository from any directory. Summaries this tool wrote
+  // are left out, so a draft doesn't list itself.
+  const summaryStem = `${path.basename(config.outputFile).replace(/\.md$/i, '')}.`;
+  const isSummary = (file) =>
+    path.resolve(root, file) === path.resolve(outputFile) || path.basename(file).startsWith(summaryStem);
+  const untracked =
+    uncommitted === 'working'
+      ? git('ls-files --others --exclude-standard --full-name -z :/')
+          .split('\0')
+          .filter((file) => file && !isSummary(file))
+      : [];
+  const extra = { uncommitted, root, untracked };
+
+  const toSha = resolveRef(head);
+  if (!toSha) {
+    console.error(`${colors.red}❌ Error: Unknown revision "${head}"${colors.reset}`);
+    process.exit(1);
+  }
+
+  if (from) {
+    const fromSha = resolveRef(from);
+    if (!fromSha) {
+      console.error(`${colors.red}❌ Error: Unknown revision "${from}"${colors.reset}`);
+      process.exit(1);
+    }
+    return { base: from, from: fromSha, to: toSha, head, ...extra };
+  }
+
+  const baseRef = findBaseRef(branch);
+  if (!baseRef) {
+    console.error(`${colors.red}❌ Error: Base branch "${branch}" not found locally or on any remote${colors.reset}`);
+    console.error(`${colors.cyan}   → Fetch it (git fetch origin ${branch}) or pass a different base branch${colors.reset}`);
+    process.exit(1);
+  }
+  if (baseRef !== branch) {
+    console.warn(`${colors.yellow}⚠️  Warning: Local branch "${branch}" not found, using ${baseRef}${colors.reset}`);
+  }
+
+  const mergeBase = git(`merge-base "${baseRef}" ${toSha}`);
+  if (!mergeBase) {
+    console.error(`${colors.red}❌ Error: ${baseRef} and ${head} have no common history${colors.reset}`);
+    process.exit(1);
+  }
+
+  return { base: baseRef, from: mergeBase, to: toSha, head, ...extra };
+}
+
+/**
+ * Revisions `git diff` compares for a range: its start and end commits, or its
+ * start and the index or working tree when uncommitted changes are included
+ * @param {object} range - Range from resolveRange()
+ * @returns {string} Revision arguments for git diff
+ */
+function diffRevisions(range) {
+  if (range.uncommitted === 'working') return range.from;
+  if (range.uncommitted === 'staged') return `--cached ${range.from}`;
+  return `${range.from} ${range.to}`;
+}
+
+/**
+ * Diff an untracked file as if it were added
+ * @param {object} range - Range from resolveRange()
+ * @param {string} file - Untracked file, relative to the repository root
+ * @param {string} options - git diff options
+ * @returns {string} Diff output
+ */
+function diffUntracked(range, file, options) {
+  try {
+    const command = `git diff --no-index ${options} -- /dev/null "${file}"`;
+    return execSync(command, { cwd: range.root, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    // --no-index exits with 1 when the files differ, which they always do
+    return error.stdout ? error.stdout.toString().trim() : '';
+  }
+}
+
+/**
+ * Diff a range, including the untracked files it covers
+ * @param {object} range - Range from resolveRange()
+ * @param {string} options - git diff options
+ * @returns {string} Diff output
+ */
+function diffRange(range, options) {
+  const tracked = git(`diff ${diffRevisions(range)} ${options}`);
+  const untracked = range.untracked.map((file) => diffUntracked(range, file, options));
+  return [tracked, ...untracked].filter(Boolean).join('\n');
+}
+
+/**
+ * Get commits in the range, with parsed Conventional Commits metadata
+ * @param {{from: string, to: string}} range - Range from resolveRange()
+ * @param {string[]} [paths] - Only include commits touching these paths
+ * @returns {object[]} Commits with hash, author, parents, subject, body and parsed fields
+ */
+function getCommits(range, paths = []) {
+  const pathspec = paths.length > 0 ? ` -- ${paths.map((p) => `"${p}"`).join(' ')}` : '';
+  return git(`log ${range.from}..${range.to} --pretty=format:"%H%x1f%an%x1f%P%x1f%s%x1f%b%x1e"${pathspec}`)
+    .split('\x1e')
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, author, parents, subject, body = ''] = record.split('\x1f');
+      return {
+        hash,
+        author,
+        parents: parents.split(' ').filter(Boolean),
+        subject,
+        ...parseCommitMessage(`${subject}\n\n${body}`),
+        body: body.trim(),
+      };
+    });
+}
+
+// Subjects of pull request merges; the body starts with the PR title
+const pullRequestMerges = [
+  { subject: /^Merge pull request (#\d+) from /, body: null },
+  { subject: /^Merged in \S+ \(pull request (#\d+)\)/, body: null },
+  { subject: /^Merge branch '.+' into '.+'$/, body: /^See merge request \S*?(!\d+)$/m },
+];
+
+/**
+ * Get the commits of a release along the first-parent history. Pull request
+ * merges become one commit titled like the PR; other merges are replaced by
+ * the commits they brought in.
+ * @param {string|null} from - Previous release, or null for the whole history
+ * @param {string} to - End of the release
+ * @returns {object[]} Parsed commits, newest first; PR merges have a `pullRequest`, e.g. `#12` or `!7`
+ */
+function getReleaseCommits(from, to) {
+  return git(`log ${from ? `${from}..` : ''}${to} --first-parent --pretty=format:"%H%x1f%P%x1f%s%x1f%b%x1e"`)
+    .split('\x1e')
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .flatMap((record) => {
+      const [hash, parents, subject, body = ''] = record.split('\x1f');
+      const [firstParent, ...merged] = parents.split(' ');
+      if (merged.length === 0) {
+        return [{ hash, subject, ...parseCommitMessage(`${subject}\n\n${body}`), body: body.trim() }];
+      }
+
+      const title = body.trim().split('\n')[0];
+      const merge = pullRequestMerges.find((pattern) => pattern.subject.test(subject));
+      const number = merge && (merge.body ? body.match(merge.body) : subject.match(merge.subject));
+      if (number && title) {
+        return [{ hash, subject: title, ...parseCommitMessage(body), body: body.trim(), pullRequest: number[1] }];
+      }
+      return getCommits({ from: firstParent, to: hash }).filter((commit) => commit.hash !== hash);
+    });
+}
+
+/**
+ * Infer the PR type a single commit votes for
+ * @param {object} commit - Parsed commit
+ * @returns {{type: string, weight: number}|null} Vote, or null if the commit says nothing
+ */
+function commitVote(commit) {
+  if (commit.conventional && commitTypeMap[commit.type]) {
+    return { type: commitTypeMap[commit.type], weight: commit.breaking ? 3 : 2 };
+  }
+  if (/^Merge /.test(commit.subject)) return null;
+
+  const text = commit.subject.toLowerCase();
+  const match = typeKeywords.find(([, pattern]) => pattern.test(text));
+  return match ? { type: match[0], weight: 1 } : null;
+}
+
 /**
  * Detect PR type from commits and file changes
- * @param {string[]} commits - Array of commit messages
+ * @param {object[]} commits - Parsed commits from getCommits()
  * @param {string[]} files - Array of changed files
  * @returns {{type: string, emoji: string}} PR type and emoji
  */
 function detectPRType(commits, files) {
-  const commitText = commits.join(' ').toLowerCase();
-  const fileText = files.join(' ').toLowerCase();
+  const votes = {};
+
+  commits.forEach((commit) => {
+    const vote = commitVote(commit);
+    if (vote) votes[vote.type] = (votes[vote.type] || 0) + vote.weight;
+  });
+
+  // Highest weight wins; ties go to Feature, then to the type listed first in prTypes
+  const order = ['Feature', ...Object.keys(prTypes).filter((type) => type !== 'Feature')];
+  const winner = order.reduce((best, type) =>
+    (votes[type] || 0) > (votes[best] || 0) ? type : best
+  );
 
-  // Check for bug fixes
-  if (commitText.includes('fix') || commitText.includes('bug') || commitText.includes('resolve')) {
-    return { type: 'Fix', emoji: '🐛' };
+  if (votes[winner]) {
+    return { type: winner, emoji: prTypes[winner] };
   }
 
-  // Check for new features
-  if (commitText.includes('feat') || commitText.includes('feature') || commitText.includes('add')) {
-    return { type: 'Feature', emoji: '✨' };
+  // No commit expressed a type - fall back to what the files look like
+  if (files.length > 0 && files.every((file) => file.endsWith('.md'))) {
+    return { type: 'Docs', emoji: prTypes.Docs };
+  }
+  if (files.length > 0 && files.every((file) => /(\.|\/)(test|spec)s?[./]|__tests__\//.test(file))) {
+    return { type: 'Test', emoji: prTypes.Test };
   }
 
-  // Check for refactoring
-  if (commitText.includes('refactor') || commitText.includes('restructure')) {
-    return { type: 'Refactor', emoji: '♻️' };
+  return { type: 'Chore', emoji: prTypes.Chore };
+}
+
+/**
+ * Compile exclude patterns: `excludePatterns` (the defaults unless overridden),
+ * then `extendExcludes`, then `--exclude` and `--include` flags. Later patterns win.
+ * @returns {object[]} Compiled patterns
+ */
+function compileExcludePatterns() {
+  const patterns = [
+    ...config.excludePatterns,
+    ...config.extendExcludes,
+    ...(cli.options.exclude || []),
+    ...(cli.options.include || []).map((pattern) => `!${pattern}`),
+  ];
+
+  try {
+    return compileExcludes(patterns);
+  } catch (error) {
+    console.error(`${colors.red}❌ Error: ${error.message}${colors.reset}`);
+    process.exit(1);
   }
+}
 
-  // Check for documentation
-  if (
-    commitText.includes('docs') ||
-    commitText.includes('documentation') ||
-    fileText.includes('.md')
-  ) {
-    return { type: 'Docs', emoji: '📝' };
+/**
+ * Print which files were dropped by which exclude pattern
+ * @param {object[]} changes - All changed files, before exclusions
+ */
+function printExcludeReport(changes) {
+  const log = stdoutIsOutput ? console.error : console.log;
+  const decided = changes
+    .map((change) => ({ file: change.path, pattern: matchExclude(change.path, excludeMatchers) }))
+    .filter(({ pattern }) => pattern);
+
+  const dropped = decided.filter(({ pattern }) => !pattern.negate);
+  const kept = decided.filter(({ pattern }) => pattern.negate);
+
+  log(`${colors.yellow}🔍 Excluded files (${dropped.length}):${colors.reset}`);
+  dropped.forEach(({ file, pattern }) => log(`   ${file} ${colors.cyan}← ${pattern.source}${colors.reset}`));
+  if (kept.length > 0) {
+    log(`${colors.yellow}🔍 Re-included files (${kept.length}):${colors.reset}`);
+    kept.forEach(({ file, pattern }) => log(`   ${file} ${colors.cyan}← ${pattern.source}${colors.reset}`));
   }
+  log('');
+}
 
-  // Check for tests
-  if (commitText.includes('test') || fileText.includes('test') || fileText.includes('spec')) {
-    return { type: 'Test', emoji: '🧪' };
+/**
+ * Validate and compile the configured file categories
+ * @param {object[]} categories - `categories` config entries
+ * @returns {{
+ *   key: string,
+ *   label: string,
+ *   order: number,
+ *   matchers: RegExp[],
+ *   suggestions: string[],
+ *   checklist: string[]
+ * }[]} Categories sorted by order, always ending with a catch-all
+ */
+function compileCategories(categories) {
+  if (!Array.isArray(categories)) {
+    console.error(`${colors.red}❌ Error: "categories" in config must be an array${colors.reset}`);
+    process.exit(1);
   }
 
-  // Check for performance improvements
-  if (
-    commitText.includes('perf') ||
-    commitText.includes('performance') ||
-    commitText.includes('optimize')
-  ) {
-    return { type: 'Performance', emoji: '⚡' };
+  const compiled = categories.map((category, index) => {
+    if (!category || typeof category.key !== 'string' || !category.key) {
+      console.error(`${colors.red}❌ Error: categories[${index}] needs a "key"${colors.reset}`);
+      process.exit(1);
+    }
+
+    let matchers;
+    try {
+      matchers = [
+        ...(category.match || []).map((glob) => globToRegExp(glob)),
+        ...(category.regex || []).map((pattern) => new RegExp(pattern)),
+      ];
+    } catch (error) {
+      console.error(`${colors.red}❌ Error: Invalid matcher in category "${category.key}": ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+
+    return {
+      key: category.key,
+      label: category.label || category.key.charAt(0).toUpperCase() + category.key.slice(1),
+      order: typeof category.order === 'number' ? category.order : index,
+      matchers,
+      suggestions: category.suggestions || [],
+      checklist: category.checklist || [],
+    };
+  });
+
+  // Files that match nothing still need a home
+  if (!compiled.some((category) => category.matchers.length === 0)) {
+    compiled.push({
+      key: 'other',
+      label: 'Other Files',
+      order: Infinity,
+      matchers: [],
+      suggestions: [],
+      checklist: [],
+    });
   }
 
-  // Default to chore
-  return { type: 'Chore', emoji: '🔧' };
+  return compiled.sort((a, b) => a.order - b.order);
 }
 
 /**
- * Categorize files by type, excluding irrelevant files
+ * Compile the configured issue trackers
+ * @param {object[]} trackers - `issues.trackers` config entries
+ * @returns {object[]} Trackers from compileTrackers()
+ */
+function compileIssueTrackers(trackers) {
+  try {
+    return compileTrackers(trackers);
+  } catch (error) {
+    console.error(`${colors.red}❌ Error: ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Find the `owner/name` of the origin remote, for `{repo}` in issue URLs
+ * @returns {string|null} Repository path, e.g. `acme/app` or `group/subgroup/app`
+ */
+function getRemoteRepo() {
+  const url = git('config --get remote.origin.url');
+  const match = url.match(/^(?:[\w+.-]+:\/\/[^/]+\/|[^@/]+@[^:/]+:)(.+?)(?:\.git)?\/?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the display label of a category
+ * @param {string} key - Category key
+ * @returns {string} Category label
+ */
+function categoryLabel(key) {
+  const category = categoryDefinitions.find((c) => c.key === key);
+  return category ? category.label : key;
+}
+
+/**
+ * Categorize files using the configured categories, excluding irrelevant files.
+ * Each file lands in the first category (by order) with a matching pattern;
+ * a category without patterns catches everything else.
  * @param {string[]} files - Array of file paths
- * @returns {object} Categorized files object
+ * @returns {object} Categorized files object, keyed by category in display order
  */
 function categorizeFiles(files) {
-  const categories = {
-    components: [],
-    hooks: [],
-    utils: [],
-    types: [],
-    styles: [],
-    tests: [],
-    docs: [],
-    config: [],
-    scripts: [],
-    other: [],
-  };
+  const categories = {};
+  categoryDefinitions.forEach((category) => {
+    categories[category.key] = [];
+  });
 
   files.forEach((file) => {
     // Skip excluded files
-    if (config.excludePatterns.some((pattern) => pattern.test(file))) {
+    if (isExcluded(file, excludeMatchers)) {
       return;
     }
 
-    if (file.includes('components/') || file.includes('src/components/')) categories.components.push(file);
-    else if (file.includes('hooks/') || file.includes('src/hooks/')) categories.hooks.push(file);
-    else if (file.includes('utils/') || file.includes('src/utils/')) categories.utils.push(file);
-    else if (file.includes('types/') || file.includes('src/types/')) categories.types.push(file);
-    else if (file.match(/\.(scss|css|less|sass)$/)) categories.styles.push(file);
-    else if (file.match(/\.(test|spec)\.(ts|tsx|js|jsx)$/)) categories.tests.push(file);
-    else if (file.includes('scripts/') || file.includes('src/scripts/')) categories.scripts.push(file);
-    else if (file.endsWith('.md') && !file.includes('node_modules')) categories.docs.push(file);
-    else if (file.match(/\.(json|yml|yaml|config\.(ts|js))$/)) categories.config.push(file);
-    else categories.other.push(file);
+    const category =
+      categoryDefinitions.find((c) => c.matchers.some((matcher) => matcher.test(file))) ||
+      categoryDefinitions.find((c) => c.matchers.length === 0);
+    categories[category.key].push(file);
   });
 
   return categories;
 }
 
 /**
- * Generate suggestions based on file changes
- * @param {object} categories - Categorized files
- * @param {{type: string}} prType - PR type object
- * @returns {string[]} Array of suggestions
+ * Load rule plugins: local JS modules exporting an array of rules,
+ * `{ rules: [...] }`, or a function returning either
+ * @param {string[]} plugins - Module paths, relative to the working directory
+ * @returns {object[]} Plugin rules
  */
-function generateSuggestions(categories, prType) {
-  const suggestions = [];
+function loadRulePlugins(plugins) {
+  return plugins.flatMap((plugin) => {
+    let exported;
+    try {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      exported = require(path.resolve(process.cwd(), plugin));
+    } catch (error) {
+      console.error(`${colors.red}❌ Error: Could not load rules plugin ${plugin}: ${error.message}${colors.reset}`);
+      process.exit(1);
+    }
+    if (typeof exported === 'function') exported = exported({ config });
+    return Array.isArray(exported) ? exported : exported.rules || [];
+  });
+}
 
-  if (categories.components.length > 0) {
-    suggestions.push('📸 Consider adding screenshots for UI changes');
-    suggestions.push('♿ Verify accessibility with screen reader');
-  }
+/**
+ * Collect every active rule: category suggestions, built-in rules, plugins and config
+ * @returns {object[]} Validated rules
+ */
+function loadRules() {
+  const categoryRules = categoryDefinitions.flatMap((category) =>
+    category.suggestions.map((message, index) => ({
+      id: `category:${category.key}:${index}`,
+      severity: 'info',
+      message,
+      when: { categories: [category.key] },
+    }))
+  );
+
+  const rules = mergeRules(categoryRules, defaultRules, loadRulePlugins(config.plugins), config.rules);
+
+  rules.forEach((rule) => {
+    const problem = validateRule(rule);
+    if (problem) {
+      console.error(`${colors.red}❌ Error: Invalid suggestion ${problem}${colors.reset}`);
+      process.exit(1);
+    }
+  });
 
-  if (categories.hooks.length > 0) {
-    suggestions.push('🧪 Add unit tests for custom hooks');
-  }
+  return rules;
+}
+
+/**
+ * Get added and removed lines per file in the range
+ * @param {object} range - Range from resolveRange()
+ * @returns {{added: Map<string, {line: number, text: string}[]>, removed: Map<string, {line: number, text: string}[]>}} Diff lines per file
+ */
+function getDiffLines(range) {
+  const added = new Map();
+  const removed = new Map();
+  let file = null;
+  let oldFile = null;
+  let inHunk = false;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const record = (map, lineNumber, text) => {
+    if (!map.has(file)) map.set(file, []);
+    map.get(file).push({ line: lineNumber, text });
+  };
+
+  diffRange(range, '-M -U0 --no-color --no-ext-diff')
+    .split('\n')
+    .forEach((line) => {
+      const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+
+      if (line.startsWith('diff --git')) {
+        file = null;
+        inHunk = false;
+      } else if (hunk) {
+        inHunk = true;
+        oldLine = Number(hunk[1]);
+        newLine = Number(hunk[2]);
+      } else if (!inHunk) {
+        // File header; deleted files are keyed by their old path
+        if (line.startsWith('--- ')) oldFile = line === '--- /dev/null' ? null : line.slice(6);
+        if (line.startsWith('+++ ')) file = line === '+++ /dev/null' ? oldFile : line.slice(6);
+      } else if (file && line.startsWith('+')) {
+        record(added, newLine++, line.slice(1));
+      } else if (file && line.startsWith('-')) {
+        record(removed, oldLine++, line.slice(1));
+      }
+    });
+
+  return { added, removed };
+}
+
+/**
+ * Build budgeted code context for AI prompts: the diff of every summarized
+ * file, most important category first
+ * @param {object} data - Everything the pipeline computed, see generateReport()
+ * @param {{budget: number, unit?: string}} budget - Budget in tokens or chars
+ * @returns {object} Context from buildCodeContext()
+ */
+function getCodeContext({ range, changes, categories }, budget) {
+  const diff = diffRange(range, '-M --no-color --no-ext-diff');
+  const chunks = new Map(splitDiff(diff).map((chunk) => [chunk.path, chunk.text]));
+  const changeByPath = new Map(changes.map((change) => [change.path, change]));
+
+  // Category keys follow the configured category order
+  const files = Object.keys(categories).flatMap((key) =>
+    categories[key].map((file) => {
+      const change = changeByPath.get(file);
+      return {
+        path: file,
+        label: categoryLabel(key),
+        added: change.added,
+        removed: change.removed,
+        diff: chunks.get(file) || '',
+      };
+    })
+  );
+
+  return buildCodeContext(files, budget);
+}
+
+/**
+ * Generate suggestions by evaluating the suggestion rules
+ * @param {object} facts - Facts about the PR
+ * @param {object} facts.range - Range from resolveRange()
+ * @param {{type: string}} facts.prType - PR type object
+ * @param {string[]} facts.files - Changed files after exclusions
+ * @param {object[]} facts.changes - Changed files from getChangedFiles()
+ * @param {object} facts.categories - Categorized files
+ * @param {object} facts.analysis - Complexity analysis
+ * @param {object} facts.testCoverage - Result of getTestCoverage()
+ * @returns {{id: string, severity: string, message: string, files: string[]}[]} Suggestions, most severe first
+ */
+function generateSuggestions({ range, prType, files, changes, categories, analysis, testCoverage }) {
+  let diff = null;
+
+  return evaluateRules(loadRules(), {
+    prType,
+    files,
+    changes,
+    categories,
+    analysis,
+    testCoverage,
+    // Only read diff content when a rule asks for it
+    diff: () => {
+      diff = diff || getDiffLines(range);
+      return diff;
+    },
+  });
+}
 
-  if (categories.utils.length > 0) {
-    suggestions.push('📊 Aim for 100% test coverage on utility functions');
+/**
+ * Format suggestions as Markdown, grouped by severity
+ * @param {object[]} suggestions - Suggestions from generateSuggestions()
+ * @returns {string} Suggestions section body
+ */
+function formatSuggestions(suggestions) {
+  return Object.keys(severityLabels)
+    .map((severity) => {
+      const group = suggestions.filter((s) => s.severity === severity);
+      if (group.length === 0) return null;
+      const items = group.map((s) => {
+        const files = s.files.slice(0, 3).map((file) => `\`${file}\``);
+        if (s.files.length > 3) files.push(`+${s.files.length - 3} more`);
+        return `- ${s.message}${files.length > 0 ? ` (${files.join(', ')})` : ''}`;
+      });
+      return `**${severityLabels[severity]}**\n\n${items.join('\n')}`;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Get files changed in the range, with status and line counts
+ * @param {object} range - Range from resolveRange()
+ * @returns {{
+ *   path: string,
+ *   oldPath: string|null,
+ *   status: string,
+ *   added: number,
+ *   removed: number,
+ *   binary: boolean,
+ *   uncommitted: string|null
+ * }[]} Changed files (status is A, M, D, R, C or T); `uncommitted` is `staged`, `unstaged` or `untracked` for
+ *   files with changes that are not committed yet
+ */
+function getChangedFiles(range) {
+  const changes = new Map();
+
+  // name-status -z: "<status>\0<path>\0" or "R<score>\0<old>\0<new>\0"
+  const nameStatus = git(`diff ${diffRevisions(range)} --name-status -M -z`).split('\0');
+  for (let i = 0; i < nameStatus.length - 1; ) {
+    const status = nameStatus[i++].charAt(0);
+    if (!status) continue;
+    const oldPath = status === 'R' || status === 'C' ? nameStatus[i++] : null;
+    const filePath = nameStatus[i++];
+    changes.set(filePath, { path: filePath, oldPath, status, added: 0, removed: 0, binary: false, uncommitted: null });
   }
 
-  if (categories.tests.length === 0 && prType.type !== 'Docs') {
-    suggestions.push('⚠️  No test files modified - consider adding tests');
+  // numstat -z: "<added>\t<removed>\t<path>\0" or "<added>\t<removed>\t\0<old>\0<new>\0"
+  const numstat = git(`diff ${diffRevisions(range)} --numstat -M -z`).split('\0');
+  for (let i = 0; i < numstat.length - 1; ) {
+    const [added, removed, inlinePath] = numstat[i++].split('\t');
+    let filePath = inlinePath;
+    if (!inlinePath) {
+      i++; // old path
+      filePath = numstat[i++];
+    }
+    const entry = changes.get(filePath);
+    if (entry) {
+      entry.binary = added === '-' && removed === '-';
+      entry.added = entry.binary ? 0 : Number(added);
+      entry.removed = entry.binary ? 0 : Number(removed);
+    }
   }
 
-  if (categories.types.length > 0) {
-    suggestions.push('📝 Update JSDoc comments for type changes');
+  if (range.uncommitted) {
+    const names = (revisions) => git(`diff ${revisions} --name-only -z`).split('\0').filter(Boolean);
+    const unstaged = new Set(range.uncommitted === 'working' ? names('') : []);
+    const staged = new Set(names(`--cached ${range.to}`));
+    changes.forEach((entry) => {
+      if (unstaged.has(entry.path)) entry.uncommitted = 'unstaged';
+      else if (staged.has(entry.path)) entry.uncommitted = 'staged';
+    });
   }
 
-  if (categories.styles.length > 0) {
-    suggestions.push('🎨 Test responsive design on mobile devices');
-    suggestions.push('🌓 Verify dark mode compatibility (if applicable)');
+  // numstat: "<added>\t<removed>\t/dev/null => <path>", or "-\t-\t..." for binary files
+  range.untracked.forEach((filePath) => {
+    const [added, removed] = diffUntracked(range, filePath, '--numstat').split('\t');
+    const binary = added === '-' && removed === '-';
+    changes.set(filePath, {
+      path: filePath,
+      oldPath: null,
+      status: 'A',
+      added: binary ? 0 : Number(added) || 0,
+      removed: 0,
+      binary,
+      uncommitted: 'untracked',
+    });
+  });
+
+  return [...changes.values()];
+}
+
+/**
+ * Diff the dependency manifests changed in the range, and find lockfiles that
+ * changed on their own
+ * @param {object} range - Range from resolveRange()
+ * @param {object[]} changes - Changed files from getChangedFiles(), including excluded ones
+ * @returns {{manifests: object[], lockfileOnly: {file: string, manifest: string}[]}} Manifests with dependency
+ *   changes (see diffManifest()) and lockfiles changed without a dependency change in their manifest
+ */
+function getDependencyChanges(range, changes) {
+  const show = (ref, file) => git(`show ${ref}:"${file}"`);
+  const current = (file) => {
+    if (range.uncommitted === 'staged') return show('', file);
+    if (range.uncommitted !== 'working') return show(range.to, file);
+    const fullPath = path.join(range.root, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+  };
+
+  const manifests = changes
+    .filter((change) => isManifest(change.path))
+    .map((change) =>
+      diffManifest(
+        change.path,
+        change.status === 'A' ? '' : show(range.from, change.oldPath || change.path),
+        change.status === 'D' ? '' : current(change.path)
+      )
+    )
+    .filter((report) => report.error || report.added.length + report.removed.length + report.changed.length > 0);
+
+  return {
+    manifests,
+    lockfileOnly: findLockfileOnlyChanges(
+      changes.map((change) => change.path),
+      manifests.map((report) => report.file)
+    ),
+  };
+}
+
+/**
+ * Format dependency changes for the summary
+ * @param {{manifests: object[], lockfileOnly: object[]}} dependencies - Result of getDependencyChanges()
+ * @returns {string} Markdown table per manifest, or an empty string when no dependency changed
+ */
+function formatDependencyChanges({ manifests, lockfileOnly }) {
+  // Version ranges such as `^17 || ^18` would otherwise split the table cell
+  const code = (text) => `\`${text.replace(/\|/g, '\\|')}\``;
+  const name = (dep) => `${code(dep.name)}${dep.type === 'prod' ? '' : ` (${dep.type})`}`;
+  const changeLabel = { downgrade: 'Downgraded', other: 'Changed' };
+
+  const sections = manifests.map((report) => {
+    if (report.error) return `**\`${report.file}\`**: could not be parsed (${report.error})`;
+
+    const rows = [
+      ...report.changed.map((dep) => {
+        const bump = ['major', 'minor', 'patch'].includes(dep.bump) ? dep.bump : '';
+        const label = changeLabel[dep.bump] || 'Upgraded';
+        return `| ${name(dep)} | ${label} | ${code(dep.from)} → ${code(dep.to)} | ${bump} |`;
+      }),
+      ...report.added.map((dep) => `| ${name(dep)} | Added | ${code(dep.version)} | |`),
+      ...report.removed.map((dep) => `| ${name(dep)} | Removed | ${code(dep.version)} | |`),
+    ];
+    const table = ['| Package | Change | Version | Bump |', '|---------|--------|---------|------|', ...rows];
+    return `**\`${report.file}\`**\n\n${table.join('\n')}`;
+  });
+
+  lockfileOnly.forEach(({ file, manifest }) => {
+    const warning = `⚠️ \`${file}\` changed without a dependency change in \`${manifest}\``;
+    sections.push(`${warning} - transitive dependencies were updated, check the lockfile diff`);
+  });
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Pair changed source files with their tests, and read coverage of the changed
+ * lines from the first coverage report found
+ * @param {{from: string, to: string}} range - Range from resolveRange()
+ * @param {object[]} changes - Changed files after exclusions
+ * @param {string} repoRoot - Repository root
+ * @param {string[]} trackedFiles - Repository-relative paths of tracked files
+ * @returns {{
+ *   files: {file: string, status: string, tests: string[], coverage: object|null}[],
+ *   report: string|null,
+ *   changedLines: {covered: number, total: number, scope: string}|null
+ * }} Pairing per source file; coverage from measureCoverage() when a report was read
+ */
+function getTestCoverage(range, changes, repoRoot, trackedFiles) {
+  const pairs = pairTests({ changes, trackedFiles, patterns: testsConfig.patterns, ignore: testsConfig.ignore });
+
+  let coverage = null;
+  const report = testsConfig.coverageReports.find((file) => fs.existsSync(path.join(repoRoot, file)));
+  if (report && pairs.length > 0) {
+    try {
+      coverage = readCoverageReport(report, fs.readFileSync(path.join(repoRoot, report), 'utf8'), repoRoot);
+    } catch (error) {
+      const warning = `⚠️  Warning: Could not read coverage report ${report}: ${error.message}`;
+      console.warn(`${colors.yellow}${warning}${colors.reset}`);
+    }
   }
+  if (!coverage) {
+    return { files: pairs.map((pair) => ({ ...pair, coverage: null })), report: null, changedLines: null };
+  }
+
+  const added = coverage.lines ? getDiffLines(range).added : new Map();
+  const files = pairs.map((pair) => {
+    const lines = (added.get(pair.file) || []).map((line) => line.line);
+    return { ...pair, coverage: measureCoverage(coverage, pair.file, lines) };
+  });
+
+  // Only an lcov report knows about individual lines
+  const measured = files.filter((entry) => entry.coverage && entry.coverage.scope === 'changed lines');
+  const changedLines = coverage.lines
+    ? {
+        covered: measured.reduce((sum, entry) => sum + entry.coverage.covered, 0),
+        total: measured.reduce((sum, entry) => sum + entry.coverage.total, 0),
+        scope: 'changed lines',
+      }
+    : null;
 
-  return suggestions;
+  return { files, report, changedLines };
 }
 
 /**
- * Analyze git diff for complexity indicators
- * @param {string} branch - Base branch to compare against
- * @returns {{complexity: string, risk: string, totalAdded: number, totalRemoved: number, fileCount: number}} Analysis results
+ * Format coverage numbers
+ * @param {{covered: number, total: number, scope?: string}|null} coverage - Coverage from measureCoverage()
+ * @returns {string} e.g. "4/10 changed lines (40%)"
  */
-function analyzeComplexity(branch) {
-  const stats = git(`diff ${branch}..HEAD --numstat`);
-  const lines = stats.split('\n').filter(Boolean);
+function formatCoverage(coverage) {
+  if (!coverage) return 'not in report';
+  const scope = coverage.scope ? ` ${coverage.scope}` : '';
+  if (coverage.total === 0) return `no instrumented${scope}`;
+  return `${coverage.covered}/${coverage.total}${scope} (${Math.round((coverage.covered / coverage.total) * 100)}%)`;
+}
+
+/**
+ * Format the changed source files that lack test changes
+ * @param {object} testCoverage - Result of getTestCoverage()
+ * @returns {string} Markdown table, or an empty string when every changed source file has test changes
+ */
+function formatTestGaps({ files, report, changedLines }) {
+  const gaps = files.filter((entry) => entry.status !== 'tested');
+  if (gaps.length === 0) return '';
+
+  const table = report
+    ? ['| Source file | Tests | Coverage |', '|-------------|-------|----------|']
+    : ['| Source file | Tests |', '|-------------|-------|'];
+  gaps.forEach((entry) => {
+    const tests =
+      entry.status === 'stale' ? `${entry.tests.map((test) => `\`${test}\``).join(', ')} not updated` : 'No test file';
+    table.push(`| \`${entry.file}\` | ${tests} |${report ? ` ${formatCoverage(entry.coverage)} |` : ''}`);
+  });
 
+  const sections = [
+    `**${gaps.length} of ${files.length} changed source files have no test changes**`,
+    table.join('\n'),
+  ];
+  if (changedLines) sections.push(`Coverage: ${formatCoverage(changedLines)}, from \`${report}\``);
+  else if (report) sections.push(`Coverage from \`${report}\``);
+  return sections.join('\n\n');
+}
+
+/**
+ * Count recent commits per file before the range, for the churn risk factor
+ * @param {{from: string}} range - Range from resolveRange()
+ * @param {number} days - How far back to look
+ * @returns {Map<string, number>} Commit count per path
+ */
+function getChurn(range, days) {
+  const churn = new Map();
+  git(`log ${range.from} --since="${days} days ago" --no-merges --format= --name-only`)
+    .split('\n')
+    .filter(Boolean)
+    .forEach((file) => churn.set(file, (churn.get(file) || 0) + 1));
+  return churn;
+}
+
+/**
+ * Scan the lines added in the range for possible secrets. Excluded files are
+ * scanned too: leaving a file out of the summary doesn't keep it out of the PR.
+ * @param {object} range - Range from resolveRange()
+ * @param {string|null} packageDir - With --package, only scan this package
+ * @returns {object} Result of scanSecrets()
+ */
+function getSecrets(range, packageDir) {
+  if (!secretsConfig.enabled) return { findings: [], values: [] };
+
+  const { added } = getDiffLines(range);
+  if (packageDir) {
+    [...added.keys()].filter((file) => !file.startsWith(`${packageDir}/`)).forEach((file) => added.delete(file));
+  }
+  try {
+    return scanSecrets(added, secretsConfig);
+  } catch (error) {
+    console.error(`${colors.red}❌ Error: ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Check the history of the range for commits to clean up before merging
+ * @param {object} range - Range from resolveRange()
+ * @param {object[]} commits - Commits from getCommits()
+ * @returns {object} Result of analyzeHygiene()
+ */
+function getCommitHygiene(range, commits) {
+  if (!hygieneConfig.enabled) return { problems: [], plan: [] };
+
+  // Changed lines and files per commit; merges list none
+  const stats = new Map();
+  let current = null;
+  git(`log ${range.from}..${range.to} --numstat --no-renames --format=%x1e%H`)
+    .split('\n')
+    .forEach((line) => {
+      if (line.startsWith('\x1e')) {
+        current = { added: 0, removed: 0, files: [] };
+        stats.set(line.slice(1), current);
+        return;
+      }
+      const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+      if (!match || !current) return;
+      current.added += Number(match[1]) || 0;
+      current.removed += Number(match[2]) || 0;
+      current.files.push(match[3]);
+    });
+
+  // A merge is from the base when a merged parent is already on the base branch. One rev-list lists the
+  // merged parents that are not, however many merges there are
+  const merged = commits.flatMap((commit) => commit.parents.slice(1));
+  const baseSha = merged.length > 0 ? resolveRef(range.base) : null;
+  const offBase = new Set(baseSha ? git(`rev-list ${merged.join(' ')} --not ${baseSha}`).split('\n') : merged);
+
+  const checked = commits.map((commit) => {
+    const { added = 0, removed = 0, files = [] } = stats.get(commit.hash) || {};
+    // Test files count as tests whichever category matched them, so ignoreCategories covers them
+    const categories = categorizeFiles(files.filter((file) => !isTestFile(file)));
+    const keys = Object.keys(categories).filter((key) => categories[key].length > 0);
+    if (files.some(isTestFile) && !keys.includes('tests')) keys.push('tests');
+    return {
+      ...commit,
+      fromBase: commit.parents.slice(1).some((parent) => !offBase.has(parent)),
+      added,
+      removed,
+      categories: keys,
+    };
+  });
+
+  return analyzeHygiene(checked, {
+    base: range.base,
+    maxSubjectLength: hygieneConfig.maxSubjectLength,
+    largeCommitLines: hygieneConfig.largeCommitLines,
+    mixedCategories: hygieneConfig.mixedCategories,
+    ignoreCategories: hygieneConfig.ignoreCategories,
+    categoryLabel,
+  });
+}
+
+/**
+ * Analyze changed files for complexity and risk
+ * @param {object[]} changes - Changed files from getChangedFiles()
+ * @param {object} [signals] - Facts beyond line counts for scoreRisk(): testFiles, packageCount, newDependencies, churn
+ * @returns {{
+ *   complexity: string,
+ *   risk: string,
+ *   riskScore: number,
+ *   riskFactors: {id: string, label: string, points: number, detail: string}[],
+ *   totalAdded: number,
+ *   totalRemoved: number,
+ *   fileCount: number,
+ *   reasons: {complexity: string[], risk: string[]}
+ * }} Analysis results
+ */
+function analyzeComplexity(changes, signals = {}) {
   let totalAdded = 0;
   let totalRemoved = 0;
   let largeFiles = 0;
 
-  lines.forEach((line) => {
-    const [added, removed] = line.split('\t').map(Number);
-    totalAdded += added || 0;
-    totalRemoved += removed || 0;
-    if (added + removed > 200) largeFiles++;
+  changes.forEach((change) => {
+    totalAdded += change.added;
+    totalRemoved += change.removed;
+    if (change.added + change.removed > 200) largeFiles++;
   });
 
   const totalChanges = totalAdded + totalRemoved;
+  const reasons = { complexity: [], risk: [] };
+
+  // Determine complexity
+  let complexity = 'Low';
+  if (totalChanges > 1000 || largeFiles > 3) complexity = 'High';
+  else if (totalChanges > 300 || largeFiles > 1) complexity = 'Medium';
+
+  if (totalChanges > 1000) reasons.complexity.push(`${totalChanges} lines changed (more than 1000)`);
+  else if (totalChanges > 300) reasons.complexity.push(`${totalChanges} lines changed (more than 300)`);
+  if (largeFiles > 1) reasons.complexity.push(`${largeFiles} files with more than 200 lines changed`);
+
+  // Determine risk from the weighted factors
+  const risk = scoreRisk({ changes, ...signals }, riskConfig);
+  reasons.risk = risk.factors.filter((factor) => factor.points > 0).map((factor) => factor.detail);
+
+  return {
+    complexity,
+    risk: risk.level,
+    riskScore: risk.score,
+    riskFactors: risk.factors,
+    totalAdded,
+    totalRemoved,
+    fileCount: changes.length,
+    reasons,
+  };
+}
+
+/**
+ * Format the risk factors that contributed to the score
+ * @param {object} analysis - Result of analyzeComplexity()
+ * @returns {string} Markdown table, or an empty string when nothing contributed
+ */
+function formatRiskFactors(analysis) {
+  const contributing = analysis.riskFactors.filter((factor) => factor.points > 0);
+  if (contributing.length === 0) return '';
+
+  const rows = contributing.map((factor) => `| ${factor.label} | ${factor.detail} | +${factor.points} |`);
+  return [
+    '| Factor | Detail | Points |',
+    '|--------|--------|--------|',
+    ...rows,
+    `| **Total** | Medium from ${riskConfig.medium}, High from ${riskConfig.high} | **${analysis.riskScore}** |`,
+  ].join('\n');
+}
+
+/**
+ * Detect workspace packages and summarize the changes in each
+ * @param {object[]} changes - Changed files after exclusions
+ * @param {object[]} packages - Packages from detectWorkspaces()
+ * @param {object} [signals] - Risk signals for analyzeComplexity(), gathered for the whole PR; each package is
+ *   scored on the entries for its own files only, since the risk factors look signals up by changed path
+ * @returns {{
+ *   packages: {name: string, dir: string, files: string[], added: number, removed: number, complexity: string, risk: string}[],
+ *   dependents: string[]
+ * }} Changed packages (root files under "(root)") and packages depending on them
+ */
+function analyzePackages(changes, packages, signals = {}) {
+  if (packages.length === 0) return { packages: [], dependents: [] };
+
+  const groups = new Map();
+  changes.forEach((change) => {
+    const pkg = findPackage(change.path, packages) || { name: '(root)', dir: '.' };
+    if (!groups.has(pkg.name)) groups.set(pkg.name, { pkg, changes: [] });
+    groups.get(pkg.name).changes.push(change);
+  });
+
+  const changed = [...groups.values()].map(({ pkg, changes: pkgChanges }) => {
+    const { complexity, risk, totalAdded, totalRemoved } = analyzeComplexity(pkgChanges, signals);
+    return {
+      name: pkg.name,
+      dir: pkg.dir,
+      files: pkgChanges.map((change) => change.path),
+      added: totalAdded,
+      removed: totalRemoved,
+      complexity,
+      risk,
+    };
+  });
+
+  return {
+    // Largest change first, root files last
+    packages: changed.sort(
+      (a, b) => (a.dir === '.') - (b.dir === '.') || b.added + b.removed - (a.added + a.removed)
+    ),
+    dependents: findDependents(
+      changed.map((pkg) => pkg.name),
+      packages
+    ),
+  };
+}
 
-  // Determine complexity
-  let complexity = 'Low';
-  if (totalChanges > 1000 || largeFiles > 3) complexity = 'High';
-  else if (totalChanges > 300 || largeFiles > 1) complexity = 'Medium';
+/**
+ * Format the per-package table for the summary
+ * @param {{packages: object[], dependents: string[]}} workspace - Result of analyzePackages()
+ * @returns {string} Markdown table, or an empty string outside a monorepo
+ */
+function formatPackages(workspace) {
+  if (workspace.packages.length === 0) return '';
 
-  // Determine risk
-  let risk = 'Low';
-  if (largeFiles > 2 || totalRemoved > totalAdded * 2) risk = 'Medium';
-  if (largeFiles > 5 || totalChanges > 2000) risk = 'High';
+  const rows = workspace.packages.map((pkg) => {
+    const name = pkg.dir === '.' ? '_(root)_' : `\`${pkg.name}\` (\`${pkg.dir}\`)`;
+    return `| ${name} | ${pkg.files.length} | +${pkg.added} / -${pkg.removed} | ${pkg.complexity} | ${pkg.risk} |`;
+  });
 
-  return { complexity, risk, totalAdded, totalRemoved, fileCount: lines.length };
+  let table = `| Package | Files | Lines | Complexity | Risk |\n|---------|-------|-------|------------|------|\n${rows.join('\n')}`;
+  if (workspace.dependents.length > 0) {
+    table += `\n\n**Dependent packages** (verify these too): ${workspace.dependents.map((name) => `\`${name}\``).join(', ')}`;
+  }
+  return table;
 }
 
 /**
- * Main function
+ * Build the machine-readable summary document
+ * @param {object} data - Everything the pipeline computed
+ * @param {string} data.currentBranch - Current branch
+ * @param {object} data.range - Range from resolveRange()
+ * @param {{type: string, emoji: string}} data.prType - PR type object
+ * @param {object[]} data.commits - Parsed commits
+ * @param {object[]} data.issues - Ticket references from findIssues()
+ * @param {string[]} data.files - Changed files after exclusions
+ * @param {object[]} data.changes - Changed files from getChangedFiles()
+ * @param {object} data.categories - Categorized files
+ * @param {object} data.analysis - Complexity analysis
+ * @param {object[]} data.suggestions - Suggestions from generateSuggestions()
+ * @param {object} data.workspace - Result of analyzePackages()
+ * @param {object} data.dependencies - Result of getDependencyChanges()
+ * @param {object} data.testCoverage - Result of getTestCoverage()
+ * @param {object} data.hygiene - Result of getCommitHygiene()
+ * @param {object} data.secrets - Result of getSecrets()
+ * @param {object} [data.stack] - With --stack, the stack from findStack()
+ * @returns {object} Summary document, see schema/summary.schema.json
  */
-function main() {
-  console.log(`\n${'='.repeat(50)}`);
-  console.log(`${colors.cyan}           🚀 PR Summary Generator 🚀${colors.reset}`);
-  console.log(`${'='.repeat(50)}\n`);
+function generateReport({
+  currentBranch,
+  range,
+  prType,
+  commits,
+  issues,
+  files,
+  changes,
+  categories,
+  analysis,
+  suggestions,
+  workspace,
+  dependencies,
+  testCoverage,
+  hygiene,
+  secrets,
+  stack = null,
+}) {
+  const changeMap = new Map(changes.map((change) => [change.path, change]));
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    branch: currentBranch,
+    base: range.base,
+    range: { from: range.from, to: range.to, uncommitted: range.uncommitted },
+    type: prType.type,
+    emoji: prType.emoji,
+    commits: commits.map((c) => ({
+      hash: c.hash,
+      author: c.author,
+      subject: c.subject,
+      body: c.body,
+      type: c.type,
+      scope: c.scope,
+      breaking: c.breaking,
+      breakingNotes: c.breakingNotes,
+      references: c.references,
+    })),
+    issues,
+    files: files.map((file) => {
+      const change = changeMap.get(file);
+      const category = Object.keys(categories).find((key) => categories[key].includes(file)) || null;
+      return {
+        path: file,
+        oldPath: change.oldPath,
+        status: change.status,
+        category,
+        added: change.added,
+        removed: change.removed,
+        binary: change.binary,
+        uncommitted: change.uncommitted,
+      };
+    }),
+    categories: Object.keys(categories)
+      .filter((key) => categories[key].length > 0)
+      .map((key) => ({ key, label: categoryLabel(key), files: categories[key] })),
+    analysis: {
+      complexity: analysis.complexity,
+      risk: analysis.risk,
+      totalAdded: analysis.totalAdded,
+      totalRemoved: analysis.totalRemoved,
+      fileCount: analysis.fileCount,
+      reasons: analysis.reasons,
+      riskScore: analysis.riskScore,
+      riskFactors: analysis.riskFactors,
+    },
+    suggestions,
+    packages: workspace.packages.map((pkg) => ({
+      name: pkg.name,
+      path: pkg.dir,
+      files: pkg.files,
+      added: pkg.added,
+      removed: pkg.removed,
+      complexity: pkg.complexity,
+      risk: pkg.risk,
+    })),
+    dependents: workspace.dependents,
+    dependencyChanges: dependencies,
+    testCoverage,
+    commitHygiene: hygiene,
+    secrets: secrets.findings,
+    ...(stack ? { stack: { trunk: stack.trunk, branches: stack.branches } } : {}),
+  };
+}
 
+/**
+ * Run the analysis pipeline shared by every command
+ * @param {object} [refs] - What to compare; defaults to the command line
+ * @param {string} [refs.base] - Base branch
+ * @param {string|null} [refs.from] - Explicit start of the range
+ * @param {string|null} [refs.to] - End of the range, HEAD if null
+ * @param {string|null} [refs.uncommitted] - Uncommitted changes to include, `staged` or `working`
+ * @returns {object} Everything the pipeline computed, see generateReport()
+ */
+function collectData({ base = baseBranch, from = fromRef, to = toRef, uncommitted = uncommittedMode } = {}) {
   checkGitRepo();
 
+  // Uncommitted changes sit on top of HEAD, so they can't follow another end of the range
+  if (uncommitted && to) {
+    const option = uncommitted === 'working' ? '--include-working' : '--include-staged';
+    console.error(`${colors.red}❌ Error: ${option} does not work with --to${colors.reset}`);
+    process.exit(2);
+  }
+
   // Get current branch
-  const currentBranch = git('rev-parse --abbrev-ref HEAD');
+  const currentBranch = to || git('rev-parse --abbrev-ref HEAD');
+
+  // Resolve the range once - from the merge base, so upstream changes on the base branch are ignored
+  const range = resolveRange(base, from, to, uncommitted);
+
+  // Detect monorepo packages, and narrow everything to one of them with --package
+  const repoRoot = git('rev-parse --show-toplevel');
+  // Repository-relative whatever the working directory, and safe for unusual file names
+  const trackedFiles = git('ls-files --full-name -z :/').split('\0').filter(Boolean);
+  const workspacePackages = detectWorkspaces(repoRoot, trackedFiles);
+  let packageDir = null;
+  if (packageFilter) {
+    const pkg = workspacePackages.find((p) => p.name === packageFilter || p.dir === packageFilter);
+    if (!pkg) {
+      console.error(`${colors.red}❌ Error: Unknown workspace package "${packageFilter}"${colors.reset}`);
+      if (workspacePackages.length > 0) {
+        console.error(`${colors.cyan}   → Packages: ${workspacePackages.map((p) => p.name).join(', ')}${colors.reset}`);
+      }
+      process.exit(1);
+    }
+    packageDir = pkg.dir;
+  }
 
   // Get commits
-  const commits = git(`log ${baseBranch}..HEAD --pretty=format:"%s"`).split('\n').filter(Boolean);
+  const commits = getCommits(range, packageDir ? [packageDir] : []);
+
+  // Find the tickets the branch and its commits refer to
+  const issues = findIssues({
+    branch: currentBranch,
+    commits,
+    trackers: issueTrackers,
+    branchAction: issuesConfig.branchAction,
+    repo: issueTrackers.some((tracker) => tracker.url && tracker.url.includes('{repo}')) ? getRemoteRepo() : null,
+  });
 
-  // Get files changed in YOUR commits only (not all differences from base branch)
-  const allFiles = git(`log ${baseBranch}..HEAD --name-only --pretty=format:`)
-    .split('\n')
-    .filter(Boolean)
-    .filter((file, index, self) => self.indexOf(file) === index); // Remove duplicates
+  // Get files changed in the range
+  const allChanges = getChangedFiles(range).filter(
+    (change) => !packageDir || change.path.startsWith(`${packageDir}/`)
+  );
+
+  if (commits.length === 0 && allChanges.length === 0) {
+    console.error(`${colors.red}❌ Error: No changes between ${range.base} and ${range.head}${colors.reset}`);
+    const hint = uncommitted === 'working' ? 'Check the base branch' : 'Commit your work, or check the base branch';
+    console.error(`${colors.cyan}   → ${hint}${colors.reset}`);
+    if (uncommitted !== 'working') {
+      console.error(`${colors.cyan}   → To summarize work in progress, pass --include-working${colors.reset}`);
+    }
+    process.exit(1);
+  }
 
-  const files = allFiles.filter((file) => !config.excludePatterns.some((pattern) => pattern.test(file)));
+  const changes = allChanges.filter((change) => !isExcluded(change.path, excludeMatchers));
+  const files = changes.map((change) => change.path);
+
+  if (explainExcludes) printExcludeReport(allChanges);
+
+  if (issuesConfig.required && issues.length === 0) {
+    console.error(`${colors.red}❌ Error: No ticket found in branch "${currentBranch}" or its commits${colors.reset}`);
+    console.error(`${colors.cyan}   → Name the branch feature/PROJ-123-... or add a "Refs:" trailer${colors.reset}`);
+    process.exit(1);
+  }
 
   // Detect PR type
   const prType = detectPRType(commits, files);
@@ -313,28 +1884,62 @@ function main() {
   // Categorize files
   const categories = categorizeFiles(files);
 
-  // Analyze complexity
-  const analysis = analyzeComplexity(baseBranch);
+  // Diff dependency manifests; lockfiles are excluded by default, so this looks at every change
+  const dependencies = getDependencyChanges(range, allChanges);
 
-  // Generate suggestions
-  const suggestions = generateSuggestions(categories, prType);
+  // Gather what the risk factors need beyond line counts
+  const signals = {
+    testFiles: new Set([...allChanges.map((change) => change.path).filter(isTestFile), ...(categories.tests || [])]),
+    newDependencies: dependencies.manifests.flatMap((report) =>
+      report.added.map((dep) => ({ name: dep.name, file: report.file }))
+    ),
+    churn: riskConfig.factors.churn.weight > 0 ? getChurn(range, riskConfig.factors.churn.days) : new Map(),
+  };
 
-  // Generate PR summary
-  const template = generateTemplate(prType, commits, files, categories, analysis, suggestions);
+  // Group changes by workspace package
+  const workspace = analyzePackages(changes, workspacePackages, signals);
 
-  // Write to file
-  fs.writeFileSync(outputFile, template);
+  // Analyze complexity and risk
+  const packageCount = workspace.packages.filter((pkg) => pkg.dir !== '.').length;
+  const analysis = analyzeComplexity(allChanges, { ...signals, packageCount });
 
-  console.log(`${colors.green}✅ Generated:${colors.reset} ${outputFile}`);
-  console.log(`${colors.cyan}   Branch:${colors.reset} ${currentBranch} → ${baseBranch}`);
-  console.log(`${colors.cyan}   Type:${colors.reset} ${prType.emoji} ${prType.type}`);
-  console.log(`${colors.cyan}   Files:${colors.reset} ${files.length} changed`);
-  console.log(`${colors.cyan}   Commits:${colors.reset} ${commits.length}`);
+  // Pair changed source files with their tests
+  const testCoverage = getTestCoverage(range, changes, repoRoot, trackedFiles);
 
-  // Generate AI agent prompt and copy to clipboard
-  const aiPrompt = generateAIPrompt(outputFile, commits, files);
+  // Check the history for commits to squash or reword
+  const hygiene = getCommitHygiene(range, commits);
+
+  // Look for credentials before anything is written or sent
+  const secrets = getSecrets(range, packageDir);
+
+  // Generate suggestions
+  const suggestions = generateSuggestions({ range, prType, files, changes, categories, analysis, testCoverage });
+
+  return {
+    currentBranch,
+    range,
+    prType,
+    commits,
+    issues,
+    files,
+    changes,
+    categories,
+    analysis,
+    suggestions,
+    workspace,
+    dependencies,
+    testCoverage,
+    hygiene,
+    secrets,
+  };
+}
 
-  // Copy to clipboard using pbcopy (macOS) or xclip (Linux) or clip (Windows)
+/**
+ * Copy text to the clipboard using pbcopy (macOS), clip (Windows) or xclip (Linux)
+ * @param {string} text - Text to copy
+ * @returns {boolean} True if the text was copied
+ */
+function copyToClipboard(text) {
   const { platform } = process;
   let copyCommand;
 
@@ -347,304 +1952,932 @@ function main() {
   }
 
   try {
-    execSync(copyCommand, { input: aiPrompt });
-    console.log(`\n${colors.green}📋 AI prompt copied to clipboard!${colors.reset}`);
-    console.log(`${colors.cyan}   → Paste to your AI agent to fill in ${outputFile}${colors.reset}`);
+    execSync(copyCommand, { input: text, stdio: ['pipe', 'ignore', 'ignore'] });
+    return true;
   } catch (error) {
-    console.log(`\n${colors.yellow}⚠️  Could not copy to clipboard${colors.reset}`);
-    console.log(`${colors.cyan}   → AI prompt saved in ${outputFile}${colors.reset}`);
+    return false;
   }
-
-  // Show post-AI review checklist
-  console.log(`\n${colors.yellow}📝 After AI fills the PR:${colors.reset}`);
-  console.log(`   ${colors.green}✓${colors.reset} Link to related ticket`);
-  console.log(`   ${colors.green}✓${colors.reset} Verify regression testing is complete`);
-  console.log(`   ${colors.green}✓${colors.reset} Confirm test scenarios cover edge cases`);
-  console.log(`   ${colors.green}✓${colors.reset} Add screenshots if UI changes\n`);
 }
 
 /**
- * Generate PR template
- * @param {{type: string, emoji: string}} prType - PR type object
- * @param {string[]} commits - Array of commit messages
- * @param {string[]} files - Array of changed files
- * @param {object} categories - Categorized files
- * @param {object} analysis - Complexity analysis
- * @param {string[]} suggestions - Generated suggestions
- * @returns {string} Generated PR template
+ * Describe a possible secret in one line
+ * @param {object} finding - Finding from getSecrets()
+ * @returns {string} e.g. "src/config.js:12 AWS access key (AKIA…(20 chars))"
  */
-function generateTemplate(prType, commits, files, categories, analysis, suggestions) {
-  const hasComponents = categories.components.length > 0;
-  const isBugFix = prType.type === 'Fix';
+function describeSecret(finding) {
+  return `${finding.file}:${finding.line} ${finding.label} (${finding.preview})`;
+}
 
-  return `# ${prType.emoji} ${prType.type}: [Brief Description]
+/**
+ * Report possible secrets in the added lines. They are redacted from every AI
+ * prompt either way; with --strict, finding any is an error.
+ * @param {object[]} findings - Findings from getSecrets()
+ * @param {object} [options] - Reporting options
+ * @param {boolean} [options.list] - List each finding; off when the output already shows them
+ */
+function checkSecrets(findings, { list = true } = {}) {
+  if (findings.length === 0) return;
+
+  const count = findings.length === 1 ? '1 possible secret' : `${findings.length} possible secrets`;
+  const lines = list ? findings.map((finding) => `   ${describeSecret(finding)}`) : [];
+  if (cli.options.strict) {
+    console.error(`${colors.red}❌ Error: ${count} in the added lines${colors.reset}`);
+    lines.forEach((line) => console.error(line));
+    const hint = 'Remove them and rotate the credentials, or allow known-safe values in "secrets.allow"';
+    console.error(`${colors.cyan}   → ${hint}${colors.reset}`);
+    process.exit(1);
+  }
+  const warning = `⚠️  Warning: ${count} in the added lines, redacted from the AI prompt`;
+  console.warn(`${colors.yellow}${warning}${colors.reset}`);
+  lines.forEach((line) => console.warn(line));
+}
 
-<!-- TODO: Add a clear, concise title describing the change -->
+/**
+ * Write a summary and report what it covers. An existing Markdown summary is
+ * updated, keeping what was filled in since it was last generated.
+ * @param {object} data - Everything the pipeline computed, see generateReport()
+ * @param {string} file - Output file
+ * @param {string} output - Rendered summary
+ * @param {string} generated - The summary before --fill and rendering
+ */
+function writeSummary(data, file, output, generated) {
+  const { currentBranch, range, prType, commits, issues, files, workspace } = data;
+
+  let update = null;
+  if (FORMAT_EXTENSIONS[outputFormat] === '.md' && !cli.options.force && fs.existsSync(file)) {
+    const blank = renderSummary(generated, outputFormat, { emoji });
+    const changed = data.changes.map((change) => change.path);
+    // What the other PR types would have generated, to drop their unfilled sections when the type changed
+    const alternatives = Object.keys(prTypes)
+      .filter((type) => type !== prType.type)
+      .map((type) => generateTemplate({ ...data, prType: { type, emoji: prTypes[type] } }))
+      .map((text) => renderSummary(text, outputFormat, { emoji }));
+    update = updateSummary(fs.readFileSync(file, 'utf8'), output, { blank, files: changed, alternatives });
+  }
 
-## Problem Statement
+  fs.writeFileSync(file, update ? update.text : output);
 
-<!-- TODO: Describe the issue or requirement that prompted this PR -->
+  console.log(`${colors.green}✅ ${update ? 'Updated' : 'Generated'}:${colors.reset} ${file}`);
+  console.log(`${colors.cyan}   Branch:${colors.reset} ${currentBranch} → ${range.base}`);
+  console.log(`${colors.cyan}   Type:${colors.reset} ${prType.emoji} ${prType.type}`);
+  const uncommitted = data.changes.filter((change) => change.uncommitted).length;
+  const counts = `${files.length} changed${uncommitted > 0 ? `, ${uncommitted} uncommitted` : ''}`;
+  console.log(`${colors.cyan}   Files:${colors.reset} ${counts}`);
+  console.log(`${colors.cyan}   Commits:${colors.reset} ${commits.length}`);
+  if (issues.length > 0) {
+    console.log(`${colors.cyan}   Tickets:${colors.reset} ${issues.map((issue) => issue.id).join(', ')}`);
+  }
+  if (workspace.packages.length > 0) {
+    console.log(`${colors.cyan}   Packages:${colors.reset} ${workspace.packages.map((pkg) => pkg.name).join(', ')}`);
+  }
+  if (update && update.added.length > 0) {
+    console.log(`${colors.cyan}   New files:${colors.reset} ${update.added.join(', ')} (added to Changes Made)`);
+  }
+  if (update && update.dropped.length > 0) {
+    console.log(`${colors.cyan}   Dropped:${colors.reset} ${update.dropped.join(', ')} (no longer changed)`);
+  }
+  if (update && update.kept.length > 0) {
+    console.log(`${colors.cyan}   Kept:${colors.reset} ${update.kept.join(', ')}`);
+    console.log(`${colors.cyan}   → Run with --force to start from a fresh template${colors.reset}`);
+  }
+}
 
-${
-  isBugFix
-    ? `### Reproduction Steps
+/**
+ * Summary file of a branch in --stack mode: the output file with the branch in its name
+ * @param {string} branch - Branch name
+ * @returns {string} e.g. `PR_SUMMARY.feature-api.md`
+ */
+function stackFile(branch) {
+  const { dir, name, ext } = path.parse(outputFile);
+  return path.join(dir, `${name}.${branch.replace(/[^\w.-]+/g, '-')}${ext}`);
+}
 
-<!-- Exact steps to reproduce the issue -->
-1. Step 1
-2. Step 2
-3. **Result**: What happens (error, unexpected behavior)
+/**
+ * Link from one summary of a stack to another, which is written next to it
+ * @param {string} branch - Branch name
+ * @returns {string} Relative link
+ */
+function stackLink(branch) {
+  return path.basename(stackFile(branch));
+}
 
-### Root Cause
+/**
+ * `generate --stack`: write one summary per branch of the stack HEAD belongs
+ * to, each compared with the branch below it
+ */
+function runStack() {
+  checkGitRepo();
+  const branch = git('rev-parse --abbrev-ref HEAD');
+  if (!branch || branch === 'HEAD') {
+    console.error(`${colors.red}❌ Error: --stack needs a branch, but HEAD is detached${colors.reset}`);
+    console.error(`${colors.cyan}   → Check out the branch of the stack you are working on${colors.reset}`);
+    process.exit(1);
+  }
+  const { base: trunk } = resolveRange(baseBranch, null, null);
+  if (resolveRef(trunk) === resolveRef(branch)) {
+    console.error(`${colors.red}❌ Error: ${branch} is the base branch, not part of a stack on it${colors.reset}`);
+    console.error(`${colors.cyan}   → Check out a branch of the stack${colors.reset}`);
+    process.exit(1);
+  }
 
-<!-- Explain the technical reason for the bug -->
-<!-- Optional: Add ASCII diagram showing the problem flow -->
+  // Commits only the parent has, and only the child has, from their merge base in one call
+  const measure = (child, parent) => {
+    const [behind, ahead] = git(`rev-list --left-right --count "${parent}"..."${child}"`).split(/\s+/).map(Number);
+    return { ahead, behind };
+  };
+  const branches = git('for-each-ref --format="%(refname:short)" refs/heads').split('\n').filter(Boolean);
+  const stack = findStack(branch, trunk, branches, measure);
+
+  const names = stack.branches.map((entry) => entry.name);
+  console.log(`${colors.cyan}📚 Stack:${colors.reset} ${[trunk, ...names].join(' ← ')}\n`);
+  if (names.length === 1) {
+    console.warn(`${colors.yellow}⚠️  Warning: No other branches stacked on ${trunk} with ${branch}${colors.reset}`);
+    console.warn(`${colors.cyan}   → Only local branches are considered; check them out first${colors.reset}\n`);
+  }
+  stack.branches
+    .filter((entry) => entry.behind > 0)
+    .forEach((entry) => {
+      const missing = `${entry.behind} commit${entry.behind === 1 ? '' : 's'} ${entry.name} lacks`;
+      console.warn(`${colors.yellow}⚠️  Warning: ${entry.parent} has ${missing}${colors.reset}`);
+      console.warn(`${colors.cyan}   → Rebase ${entry.name} onto ${entry.parent}${colors.reset}`);
+    });
+  if (stack.forks.length > 0) {
+    const forks = `${names[names.length - 1]}: ${stack.forks.join(', ')}`;
+    console.warn(`${colors.yellow}⚠️  Warning: Several branches are based on ${forks}${colors.reset}`);
+    console.warn(`${colors.cyan}   → Check out one of them and run again to include it${colors.reset}`);
+  }
+  if (stack.branches.some((entry) => entry.behind > 0) || stack.forks.length > 0) console.log('');
+
+  // Every branch is scanned before any summary is written, so --strict leaves none behind
+  const collected = stack.branches.map((entry) => ({
+    entry,
+    data: { ...collectData({ base: entry.parent, from: null, to: entry.name }), stack },
+  }));
+  checkSecrets(collected.flatMap(({ data }) => data.secrets.findings));
+
+  collected.forEach(({ entry, data }) => {
+    const generated =
+      outputFormat === 'json' ? `${JSON.stringify(generateReport(data), null, 2)}\n` : generateTemplate(data);
+    const output = outputFormat === 'json' ? generated : renderSummary(generated, outputFormat, { emoji });
+    writeSummary(data, stackFile(entry.name), output, generated);
+    console.log('');
+  });
 
-\`\`\`text
-Step 1
-  ↓
-Step 2
-  ↓
-Problem occurs 🔄
-\`\`\`
-`
-    : ''
+  if (outputFormat !== 'json') {
+    const hint = 'Run "pr-summary prompt <parent> --to <branch>" for the AI prompt of each';
+    console.log(`${colors.cyan}   → ${hint}${colors.reset}\n`);
+  }
 }
----
-
-## Solution
 
-<!-- TODO: High-level description of your approach -->
+/**
+ * `generate`: write the PR summary and copy the AI prompt
+ */
+async function runGenerate() {
+  if (!summaryFormats.includes(outputFormat)) {
+    const expected = summaryFormats.join(', ');
+    console.error(`${colors.red}❌ Error: Unknown format "${outputFormat}" (expected ${expected})${colors.reset}`);
+    process.exit(1);
+  }
+  if (cli.options.fill && outputFormat === 'json') {
+    console.error(`${colors.red}❌ Error: --fill does not work with the json format${colors.reset}`);
+    process.exit(2);
+  }
+  if (cli.options.dryRun && !cli.options.fill) {
+    console.error(`${colors.red}❌ Error: --dry-run needs --fill${colors.reset}`);
+    process.exit(2);
+  }
 
-### Why This Works
+  if (cli.options.stack && (cli.options.fill || toStdout || fromRef || toRef)) {
+    console.error(`${colors.red}❌ Error: --stack does not work with --fill, --stdout, --from or --to${colors.reset}`);
+    process.exit(2);
+  }
+  if (cli.options.stack && uncommittedMode) {
+    const error = '--stack only summarizes commits, not --include-staged or --include-working';
+    console.error(`${colors.red}❌ Error: ${error}${colors.reset}`);
+    process.exit(2);
+  }
 
-<!-- Before/After comparison explaining the mechanism -->
-- **Before**: <!-- What was happening -->
-- **After**: <!-- How the fix changes behavior -->
+  if (!stdoutIsOutput) {
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`${colors.cyan}           🚀 PR Summary Generator 🚀${colors.reset}`);
+    console.log(`${'='.repeat(50)}\n`);
+  }
 
-### Changes Made
+  if (cli.options.stack) {
+    runStack();
+    return;
+  }
 
-${generateChangesSection(categories)}
+  const data = collectData();
+  const { range, commits, issues, files } = data;
+  checkSecrets(data.secrets.findings);
 
----
+  // Generate PR summary
+  const generated =
+    outputFormat === 'json' ? `${JSON.stringify(generateReport(data), null, 2)}\n` : generateTemplate(data);
+  let output = generated;
+
+  if (cli.options.fill) {
+    const request = buildFillRequest(data, output);
+    if (cli.options.dryRun) {
+      printFillRequest(request);
+      return;
+    }
+    output = await fillSummary(request);
+  }
+  if (outputFormat !== 'json') output = renderSummary(output, outputFormat, { emoji });
 
-## Technical Details
+  if (toStdout) {
+    process.stdout.write(output);
+    return;
+  }
 
-### Implementation
+  writeSummary(data, outputFile, output, generated);
 
-\`\`\`typescript
-// TODO: Add key code snippet showing the solution
-\`\`\`
+  // `lint` reads Markdown, not HTML or plain text
+  const markdown = FORMAT_EXTENSIONS[outputFormat] === '.md';
 
-${
-  hasComponents
-    ? `### Visual Flow (optional)
-
-\`\`\`text
-┌─────────────────────────────────────┐
-│ Component Flow                      │
-├─────────────────────────────────────┤
-│ 1. User action                      │
-│ 2. State update ← Change here       │
-│ 3. Re-render                        │
-└─────────────────────────────────────┘
-\`\`\`
-`
-    : ''
-}
-### Alternative Solutions Considered (if applicable)
+  // The JSON document is for tools, not for an AI agent to fill in
+  if (outputFormat === 'json') {
+    console.log('');
+    return;
+  }
 
-| Solution | Result |
-|----------|--------|
-| Option 1 | ❌ Why it didn't work |
-| **Chosen Solution** | ✅ **Why this is best** |
+  if (cli.options.fill) {
+    console.log(`\n${colors.green}🤖 Filled by ${llmConfig.model}${colors.reset}`);
+    const next = markdown ? `, then run "pr-summary lint ${outputFile}"` : '';
+    console.log(`${colors.cyan}   → Review it${next}${colors.reset}\n`);
+    return;
+  }
 
----
+  // Generate AI agent prompt and copy to clipboard
+  const prompt = generateAIPrompt(outputFile, range, commits, issues, files, getCodeContext(data, promptBudget));
+  const aiPrompt = redactSecrets(prompt, data.secrets.values);
 
-## Testing
+  if (copyToClipboard(aiPrompt)) {
+    console.log(`\n${colors.green}📋 AI prompt copied to clipboard!${colors.reset}`);
+    console.log(`${colors.cyan}   → Paste to your AI agent to fill in ${outputFile}${colors.reset}`);
+  } else {
+    console.log(`\n${colors.yellow}⚠️  Could not copy to clipboard${colors.reset}`);
+    console.log(`${colors.cyan}   → Run "pr-summary prompt" to print the AI prompt${colors.reset}`);
+  }
 
-### Test Matrix
+  // Show post-AI review checklist
+  console.log(`\n${colors.yellow}📝 After AI fills the PR:${colors.reset}`);
+  if (issues.length === 0) console.log(`   ${colors.green}✓${colors.reset} Link to related ticket`);
+  console.log(`   ${colors.green}✓${colors.reset} Verify regression testing is complete`);
+  console.log(`   ${colors.green}✓${colors.reset} Confirm test scenarios cover edge cases`);
+  console.log(`   ${colors.green}✓${colors.reset} Add screenshots if UI changes`);
+  if (markdown) {
+    const hint = `Run "pr-summary lint ${outputFile}" to check nothing was left unfilled`;
+    console.log(`${colors.cyan}   → ${hint}${colors.reset}`);
+  }
+  console.log('');
+}
 
-| Test Case | Setup | Expected Result | Verified |
-|-----------|-------|-----------------|----------|
-| Primary scenario | <!-- Setup details --> | <!-- Expected outcome --> | ✅ |
-| Edge case 1 | <!-- Setup details --> | <!-- Expected outcome --> | ✅ |
-| Edge case 2 | <!-- Setup details --> | <!-- Expected outcome --> | ✅ |
+/**
+ * Build the LLM request that fills a generated summary: instructions, the
+ * summary itself and the code changes, fitted to the configured token budget
+ * @param {object} data - Everything the pipeline computed, see generateReport()
+ * @param {string} summary - Generated Markdown summary
+ * @returns {{url: string, headers: object, body: object}} Chat completion request
+ */
+function buildFillRequest(data, summary) {
+  const context = getCodeContext(data, { budget: llmConfig.maxDiffTokens });
+
+  const messages = [
+    {
+      role: 'system',
+      content: [
+        'You are a senior engineer writing a pull request description for reviewers.',
+        'Fill in the Markdown PR summary using the diff. Replace every TODO comment and placeholder with real content,',
+        'tick the checklist boxes that the diff supports, and keep the headings and structure.',
+        'Do not invent testing or tickets you cannot see. Reply with the completed Markdown document only.',
+      ].join(' '),
+    },
+    {
+      role: 'user',
+      content: [
+        '## PR Summary to Fill',
+        '',
+        '````markdown',
+        summary.trimEnd(),
+        '````',
+        '',
+        `## Code Changes (${data.range.from.slice(0, 12)}..${data.range.head})`,
+        '',
+        renderCodeContext(context),
+      ].join('\n'),
+    },
+  ];
+
+  // Everything that leaves the machine, the summary included: commit subjects and file lists can carry secrets too
+  messages.forEach((message) => {
+    message.content = redactSecrets(message.content, data.secrets.values);
+  });
 
-### Regression Testing (CRITICAL!)
+  return buildChatRequest({
+    endpoint: llmConfig.endpoint,
+    model: llmConfig.model,
+    apiKey: process.env[llmConfig.apiKeyEnv],
+    temperature: llmConfig.temperature,
+    messages,
+  });
+}
 
-**Verify NO existing functionality is broken:**
+/**
+ * Print a fill request for --dry-run, with the API key masked
+ * @param {{url: string, headers: object, body: object}} request - Chat completion request
+ */
+function printFillRequest(request) {
+  const headers = { ...request.headers };
+  if (headers.Authorization) headers.Authorization = 'Bearer ***';
 
-- [ ] All features that use the changed code still work
-- [ ] Related components/pages render correctly
-- [ ] No new console errors introduced
-- [ ] Existing tests still pass
-- [ ] No broken imports or dependencies
+  const lines = [`POST ${request.url}`, ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)];
+  process.stdout.write(`${lines.join('\n')}\n\n${JSON.stringify(request.body, null, 2)}\n`);
+}
 
-**Specific checks performed:**
-<!-- List the specific features/flows you tested -->
+/**
+ * Send a fill request and return the completed summary
+ * @param {{url: string, headers: object, body: object}} request - Chat completion request
+ * @returns {Promise<string>} Filled Markdown
+ */
+async function fillSummary(request) {
+  const log = stdoutIsOutput ? console.error : console.log;
+  log(`${colors.cyan}🤖 Filling summary with ${llmConfig.model} at ${llmConfig.endpoint}...${colors.reset}`);
 
-### Automated Tests
+  let reply;
+  try {
+    reply = await sendChatRequest(request, {
+      timeout: llmConfig.timeout,
+      retries: llmConfig.retries,
+      onRetry: (error, attempt, delay) => {
+        log(`${colors.yellow}⚠️  ${error.message} - retry ${attempt}/${llmConfig.retries} in ${delay / 1000}s${colors.reset}`);
+      },
+    });
+  } catch (error) {
+    if (!(error instanceof LlmError)) throw error;
+    console.error(`${colors.red}❌ Error: Could not fill the summary: ${error.message}${colors.reset}`);
+    console.error(`${colors.cyan}   → Check "llm" in your config, or run without --fill to copy the prompt instead${colors.reset}`);
+    process.exit(1);
+  }
 
-- [ ] Unit tests added/updated
-- [ ] Integration tests added/updated
-- [ ] All tests passing
+  return unfence(reply);
+}
 
----
+/**
+ * `prompt`: print the AI agent prompt, or copy it with --copy
+ */
+function runPrompt() {
+  const data = collectData();
+  const { range, commits, issues, files } = data;
+  checkSecrets(data.secrets.findings);
+  const prompt = generateAIPrompt(outputFile, range, commits, issues, files, getCodeContext(data, promptBudget));
+  const aiPrompt = redactSecrets(prompt, data.secrets.values);
+
+  if (!cli.options.copy) {
+    process.stdout.write(aiPrompt.endsWith('\n') ? aiPrompt : `${aiPrompt}\n`);
+    return;
+  }
 
-## Impact Analysis
+  if (!copyToClipboard(aiPrompt)) {
+    console.error(`${colors.red}❌ Error: Could not copy to clipboard${colors.reset}`);
+    console.error(`${colors.cyan}   → Run without --copy and pipe the output instead${colors.reset}`);
+    process.exit(1);
+  }
+  console.error(`${colors.green}📋 AI prompt copied to clipboard!${colors.reset}`);
+}
 
-### Scope
+/**
+ * `analyze`: print the analysis without writing any files
+ */
+function runAnalyze() {
+  const data = collectData();
 
-**Files Modified**: ${analysis.fileCount} files, +${analysis.totalAdded} lines, -${analysis.totalRemoved} lines
+  if (outputFormat === 'json') {
+    process.stdout.write(`${JSON.stringify(generateReport(data), null, 2)}\n`);
+    checkSecrets(data.secrets.findings, { list: false });
+    return;
+  }
 
-**Affected Flows**: <!-- List the user flows or systems affected -->
+  const { currentBranch, range, prType, commits, files, categories, analysis, suggestions, workspace } = data;
+  const { issues, dependencies, testCoverage, hygiene } = data;
+  const uncommitted = data.changes.filter((change) => change.uncommitted);
+  const tickets = issues.map((issue) => `${issue.id} (${issue.action})`);
+  const lines = [
+    `${colors.cyan}Branch:${colors.reset}     ${currentBranch} → ${range.base}`,
+    `${colors.cyan}Type:${colors.reset}       ${prType.emoji} ${prType.type}`,
+    `${colors.cyan}Commits:${colors.reset}    ${commits.length}`,
+    ...(tickets.length > 0 ? [`${colors.cyan}Tickets:${colors.reset}    ${tickets.join(', ')}`] : []),
+    `${colors.cyan}Files:${colors.reset}      ${files.length} changed (+${analysis.totalAdded} / -${analysis.totalRemoved})`,
+    ...(uncommitted.length > 0 ? [`${colors.cyan}Uncommitted:${colors.reset}`] : []),
+    ...uncommitted.map((change) => `  ${change.path} (${change.uncommitted})`),
+    `${colors.cyan}Complexity:${colors.reset} ${analysis.complexity}`,
+    ...analysis.reasons.complexity.map((reason) => `            - ${reason}`),
+    `${colors.cyan}Risk:${colors.reset}       ${analysis.risk} (score ${analysis.riskScore})`,
+    ...analysis.riskFactors
+      .filter((factor) => factor.points > 0)
+      .map((factor) => `            - +${factor.points} ${factor.detail}`),
+  ];
+
+  const categoryKeys = Object.keys(categories).filter((key) => categories[key].length > 0);
+  if (categoryKeys.length > 0) {
+    lines.push(`${colors.cyan}Categories:${colors.reset}`);
+    categoryKeys.forEach((key) => lines.push(`  ${categoryLabel(key)} (${categories[key].length})`));
+  }
 
-### Breaking Changes
+  if (workspace.packages.length > 0) {
+    lines.push(`${colors.cyan}Packages:${colors.reset}`);
+    workspace.packages.forEach((pkg) => {
+      lines.push(`  ${pkg.name} (${pkg.files.length} files, +${pkg.added} / -${pkg.removed}, risk ${pkg.risk})`);
+    });
+    if (workspace.dependents.length > 0) {
+      lines.push(`  Dependents: ${workspace.dependents.join(', ')}`);
+    }
+  }
 
-- [ ] No breaking changes
-- [ ] Has breaking changes (describe below)
+  if (dependencies.manifests.length > 0 || dependencies.lockfileOnly.length > 0) {
+    lines.push(`${colors.cyan}Dependencies:${colors.reset}`);
+    dependencies.manifests.forEach((report) => {
+      lines.push(`  ${report.file}${report.error ? ` (could not be parsed: ${report.error})` : ''}`);
+      report.changed.forEach((dep) => lines.push(`    ~ ${dep.name} ${dep.from} → ${dep.to} (${dep.bump})`));
+      report.added.forEach((dep) => lines.push(`    + ${dep.name} ${dep.version}`));
+      report.removed.forEach((dep) => lines.push(`    - ${dep.name} ${dep.version}`));
+    });
+    dependencies.lockfileOnly.forEach(({ file, manifest }) => {
+      lines.push(`  ${colors.yellow}⚠️  ${file} changed without a dependency change in ${manifest}${colors.reset}`);
+    });
+  }
 
-<!-- If breaking changes, list them and migration steps -->
+  const gaps = testCoverage.files.filter((entry) => entry.status !== 'tested');
+  if (gaps.length > 0) {
+    lines.push(`${colors.cyan}Test gaps:${colors.reset}`);
+    gaps.forEach((entry) => {
+      const tests = entry.status === 'stale' ? `${entry.tests.join(', ')} not updated` : 'no test file';
+      const coverage = testCoverage.report ? `, ${formatCoverage(entry.coverage)}` : '';
+      lines.push(`  ${entry.file} (${tests}${coverage})`);
+    });
+  }
+  if (testCoverage.changedLines) {
+    const coverage = formatCoverage(testCoverage.changedLines);
+    lines.push(`${colors.cyan}Coverage:${colors.reset}   ${coverage}, from ${testCoverage.report}`);
+  }
 
-### Performance Impact
+  if (hygiene.problems.length > 0) {
+    lines.push(`${colors.cyan}Commit hygiene:${colors.reset}`);
+    hygiene.problems.forEach((problem) => lines.push(`  ${problem.hash.slice(0, 7)} ${problem.message}`));
+  }
 
-- [ ] No performance impact
-- [ ] Performance improved
-- [ ] Performance degraded (explain below)
+  if (data.secrets.findings.length > 0) {
+    lines.push(`${colors.cyan}Security:${colors.reset}`);
+    data.secrets.findings.forEach((finding) => {
+      lines.push(`  ${colors.yellow}⚠️  ${describeSecret(finding)}${colors.reset}`);
+    });
+  }
 
-<!-- If performance impact, describe it -->
+  if (suggestions.length > 0) {
+    lines.push(`${colors.cyan}Suggestions:${colors.reset}`);
+    suggestions.forEach((suggestion) => {
+      lines.push(`  [${suggestion.severity}] ${suggestion.message}`);
+    });
+  }
 
-### Accessibility Impact
+  process.stdout.write(`${lines.join('\n')}\n`);
+  checkSecrets(data.secrets.findings, { list: false });
+}
 
-- [ ] No accessibility changes
-- [ ] Accessibility improved
-- [ ] Accessibility affected (explain below)
+/**
+ * Guess the repository's default branch
+ * @returns {string} Branch name
+ */
+function detectDefaultBranch() {
+  // e.g. refs/remotes/origin/HEAD -> origin/main
+  const remoteHead = git('symbolic-ref --quiet --short refs/remotes/origin/HEAD');
+  if (remoteHead) return remoteHead.replace(/^origin\//, '');
+
+  const candidates = ['main', 'master', 'develop', 'trunk'];
+  return (
+    candidates.find((branch) => resolveRef(branch) || resolveRef(`origin/${branch}`)) || defaultConfig.baseBranch
+  );
+}
 
-<!-- If accessibility impact, describe it -->
+/**
+ * Create a question prompter on the terminal. Lines typed ahead of a question
+ * are queued rather than lost, and end of input answers with the defaults.
+ * @returns {{ask: function(string, string): Promise<string>, close: function(): void}} Prompter
+ */
+function createPrompter() {
+  // eslint-disable-next-line global-require
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const pending = [];
+  const waiting = [];
+
+  rl.on('line', (line) => (waiting.length > 0 ? waiting.shift()(line) : pending.push(line)));
+  rl.on('close', () => waiting.splice(0).forEach((resolve) => resolve('')));
+
+  return {
+    ask(question, defaultAnswer) {
+      process.stdout.write(`${colors.cyan}?${colors.reset} ${question} ${colors.yellow}(${defaultAnswer})${colors.reset} `);
+      return new Promise((resolve) => {
+        const answer = (line) => resolve(line.trim() || defaultAnswer);
+        if (pending.length > 0) answer(pending.shift());
+        else waiting.push(answer);
+      });
+    },
+    close: () => rl.close(),
+  };
+}
 
-### Backward Compatibility
+/**
+ * `init`: inspect the repository and write a validated config file
+ */
+async function runInit() {
+  checkGitRepo();
 
-- [ ] ✅ Fully backward compatible
-- [ ] ⚠️ Requires migration (describe below)
+  const target = cli.options.config || '.prsummaryrc.json';
+  if (fs.existsSync(target) && !cli.options.force) {
+    console.error(`${colors.red}❌ Error: ${target} already exists${colors.reset}`);
+    console.error(`${colors.cyan}   → Run "pr-summary init --force" to replace it${colors.reset}`);
+    process.exit(1);
+  }
+  if (!cli.options.yes && !process.stdin.isTTY) {
+    console.error(`${colors.red}❌ Error: "pr-summary init" needs a terminal to ask questions${colors.reset}`);
+    console.error(`${colors.cyan}   → Pass --yes to accept the detected settings${colors.reset}`);
+    process.exit(2);
+  }
 
-<!-- If migration needed, provide steps -->
+  const root = git('rev-parse --show-toplevel');
+  const trackedFiles = git('ls-files --full-name -z :/').split('\0').filter(Boolean);
+  const packages = detectWorkspaces(root, trackedFiles);
+  const findings = inspectRepository({ root, trackedFiles, categories: defaultConfig.categories, packages });
+  const defaultBranch = detectDefaultBranch();
+
+  console.log(`\n${colors.cyan}🔎 Inspected ${path.basename(root)}${colors.reset}`);
+  console.log(`   Default branch: ${defaultBranch}`);
+  console.log(`   Frameworks: ${findings.frameworks.length > 0 ? findings.frameworks.join(', ') : 'none detected'}`);
+  if (packages.length > 0) {
+    const { sources } = readWorkspacePatterns(root);
+    console.log(`   Workspaces: ${packages.length} packages (${sources.join(', ')})`);
+  }
+  console.log(`   PR template: ${findings.prTemplate || 'none'}`);
+  console.log(`   Categories: ${findings.categories.map((category) => category.label).join(', ')}`);
+  console.log(`   Extra excludes: ${findings.excludes.length > 0 ? findings.excludes.join(', ') : 'none'}\n`);
+
+  const proposal = {
+    baseBranch: defaultBranch,
+    outputFile: defaultConfig.outputFile,
+    categories: findings.categories,
+  };
+  if (findings.excludes.length > 0) proposal.extendExcludes = findings.excludes;
 
----
+  if (!cli.options.yes) {
+    const prompter = createPrompter();
+    const yes = (answer) => /^y(es)?$/i.test(answer);
 
-## Deployment
+    proposal.baseBranch = await prompter.ask('Base branch', proposal.baseBranch);
+    proposal.outputFile = await prompter.ask('Output file', proposal.outputFile);
+    if (!yes(await prompter.ask('Use the categories above?', 'Y'))) delete proposal.categories;
+    if (proposal.extendExcludes && !yes(await prompter.ask('Add the extra excludes?', 'Y'))) {
+      delete proposal.extendExcludes;
+    }
+    if (findings.prTemplate && yes(await prompter.ask(`Render summaries with ${findings.prTemplate}?`, 'N'))) {
+      proposal.templatePath = findings.prTemplate;
+    }
+    prompter.close();
+  }
 
-### Deployment Safety
+  const problems = validateConfig(proposal);
+  if (problems.length > 0) {
+    console.error(`${colors.red}❌ Error: Generated config is invalid${colors.reset}`);
+    problems.forEach((problem) => console.error(`   ${problem.message}`));
+    process.exit(1);
+  }
 
-- ✅ Safe to deploy immediately / ⚠️ Requires coordination
+  fs.writeFileSync(target, `${JSON.stringify(proposal, null, 2)}\n`);
+  console.log(`\n${colors.green}✅ Wrote ${target}${colors.reset}`);
+  if (findings.prTemplate && !proposal.templatePath) {
+    console.log(`${colors.cyan}   → Set "templatePath" to "${findings.prTemplate}" to render summaries with your PR template${colors.reset}`);
+  }
+  console.log(`${colors.cyan}   → Run "pr-summary" on a feature branch to generate a summary${colors.reset}\n`);
+}
 
-### Requirements
+/**
+ * `lint`: check a filled-in summary, exiting non-zero when work is left
+ */
+function runLint() {
+  const file = cli.positionals[0] || config.outputFile;
+  if (!fs.existsSync(file)) {
+    console.error(`${colors.red}❌ Error: Summary file not found: ${file}${colors.reset}`);
+    console.error(`${colors.cyan}   → Run "pr-summary" to generate it${colors.reset}`);
+    process.exit(1);
+  }
 
-- [ ] No database migrations needed
-- [ ] No environment variable changes
-- [ ] No API contract changes
-- [ ] No infrastructure changes
+  const problems = lintSummary(fs.readFileSync(file, 'utf8'), { ...defaultConfig.lint, ...config.lint });
 
----
+  if (problems.length === 0) {
+    console.log(`${colors.green}✅ ${file} is ready for review${colors.reset}`);
+    return;
+  }
 
-## Checklist
+  problems.forEach((problem) => {
+    console.log(`${file}:${problem.line}  ${colors.yellow}${problem.rule}${colors.reset}  ${problem.message}`);
+  });
+  console.log(`\n${colors.red}❌ ${problems.length} problem${problems.length === 1 ? '' : 's'} in ${file}${colors.reset}`);
+  process.exitCode = 1;
+}
 
-**Code Quality:**
-- [ ] Code follows project style guidelines
-- [ ] Self-review completed
-- [ ] Comments added for complex logic
-- [ ] No console.log or debug code left
+/**
+ * `changelog`: add the changes of a release to the changelog, or print them
+ */
+function runChangelog() {
+  checkGitRepo();
+  const log = toStdout ? console.error : console.log;
 
-**Testing:**
-- [ ] **Regression testing completed - NO existing functionality broken**
-- [ ] All automated tests passing
-${hasComponents ? '- [ ] Tested on multiple browsers (if UI change)\n- [ ] Tested on mobile (if responsive change)\n- [ ] Tested with screen reader (if a11y change)' : ''}
+  const to = toRef || 'HEAD';
+  [to, fromRef].filter(Boolean).forEach((ref) => {
+    if (!resolveRef(ref)) {
+      console.error(`${colors.red}❌ Error: Unknown revision "${ref}"${colors.reset}`);
+      process.exit(1);
+    }
+  });
 
-**Documentation:**
-- [ ] Documentation updated (if needed)
-- [ ] README updated (if needed)
+  // A tag at the end names the release, so the range starts at the tag before it
+  const tag = git(`tag --points-at "${to}" --sort=-v:refname`).split('\n')[0];
+  const before = tag ? resolveRef(`${to}^`) : resolveRef(to);
+  const from = fromRef || (before && git(`tag --merged ${before} --sort=-creatordate`).split('\n')[0]) || null;
 
----
+  const commits = getReleaseCommits(from, to);
+  if (commits.length === 0) {
+    console.error(`${colors.red}❌ Error: No commits between ${from} and ${to}${colors.reset}`);
+    console.error(`${colors.cyan}   → Pass the previous release with --from${colors.reset}`);
+    process.exit(1);
+  }
 
-## Related Issues
+  let version = 'Unreleased';
+  let date = null;
+  if (cli.options.release) {
+    version = cli.options.release.replace(/^v(?=\d)/, '');
+    date = new Date().toISOString().slice(0, 10);
+  } else if (tag) {
+    version = tag.replace(/^v(?=\d)/, '');
+    date = git(`log -1 --format=%cI "${to}"`).slice(0, 10);
+  }
+  const release = buildRelease(commits, { version, date });
+  const range = `${from || 'the first commit'}..${to}`;
 
-Closes #issue_number
-Related to #issue_number
+  if (release.entries.length === 0) {
+    log(`${colors.yellow}⚠️  No user-facing changes in ${range} (${commits.length} commits)${colors.reset}`);
+    return;
+  }
 
----
+  if (toStdout) {
+    process.stdout.write(renderRelease(release));
+  } else {
+    const file = cli.options.output || 'CHANGELOG.md';
+    const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const { text, added } = updateChangelog(existing, release);
+    if (added.length === 0) {
+      log(`${colors.green}✅ ${file} already lists every change in ${range}${colors.reset}`);
+      return;
+    }
+    fs.writeFileSync(file, text);
+    const known = release.entries.length - added.length;
+    log(`${colors.green}✅ Updated:${colors.reset} ${file}`);
+    log(`${colors.cyan}   Release:${colors.reset} [${version}] from ${range}`);
+    const listed = known > 0 ? `, ${known} already listed` : '';
+    log(`${colors.cyan}   Entries:${colors.reset} ${added.length} added${listed}`);
+  }
 
-## Additional Notes
+  const { breaking, features, fixes } = release.counts;
+  const counts = [
+    `${breaking} breaking`,
+    `${features} ${features === 1 ? 'feature' : 'features'}`,
+    `${fixes} ${fixes === 1 ? 'fix' : 'fixes'}`,
+  ].join(', ');
+  const next = suggestVersion(from, release.counts);
+  if (next) {
+    log(`${colors.cyan}   Next version:${colors.reset} ${next.version} (${next.bump}: ${counts})`);
+    if (!cli.options.release && !tag) {
+      log(`${colors.cyan}   → Run with --release ${next.version} to name the release${colors.reset}`);
+    }
+  } else if (!cli.options.release && !tag) {
+    log(`${colors.cyan}   → No previous version tag to bump (${counts}); name it with --release${colors.reset}`);
+  }
+}
 
-<!-- Any other context, concerns, or discussion points -->
+/**
+ * Run the selected command, reporting errors it throws or rejects with alike
+ */
+function main() {
+  Promise.resolve()
+    .then(() => commands[cli.command].run())
+    .catch((error) => {
+      console.error(`${colors.red}❌ Error: ${error.message}${colors.reset}`);
+      process.exit(1);
+    });
+}
 
-### Recent Commits
+/**
+ * Load the PR template source, falling back to the built-in default template
+ * @returns {{source: string, name: string}} Template source and display name
+ */
+function loadTemplate() {
+  const templateFile = config.templatePath
+    ? path.resolve(process.cwd(), config.templatePath)
+    : defaultTemplatePath;
 
-${commits.map((c) => `- ${c}`).join('\n')}
+  if (!fs.existsSync(templateFile)) {
+    console.error(`${colors.red}❌ Error: Template file not found: ${config.templatePath}${colors.reset}`);
+    process.exit(1);
+  }
 
-### Modified Files by Category
+  return {
+    source: fs.readFileSync(templateFile, 'utf8'),
+    name: path.relative(process.cwd(), templateFile) || templateFile,
+  };
+}
 
-${generateFileList(categories)}
+/**
+ * Generate PR template
+ * @param {object} data - Everything the pipeline computed, see generateReport()
+ * @returns {string} Generated PR template
+ */
+function generateTemplate({
+  range,
+  prType,
+  commits,
+  issues,
+  changes,
+  categories,
+  analysis,
+  suggestions,
+  workspace,
+  dependencies,
+  testCoverage,
+  hygiene,
+  secrets,
+  stack = null,
+}) {
+  const scopes = commits
+    .map((c) => c.scope)
+    .filter((scope, index, self) => scope && self.indexOf(scope) === index);
+  const breakingChanges = commits
+    .filter((c) => c.breaking)
+    .flatMap((c) => c.breakingNotes.map((note) => (c.scope ? `**${c.scope}**: ${note}` : note)));
+  const context = {
+    type: prType.type,
+    emoji: prType.emoji,
+    isBugFix: prType.type === 'Fix',
+    hasComponents: Boolean(categories.components && categories.components.length > 0),
+    branch: range.head === 'HEAD' ? git('rev-parse --abbrev-ref HEAD') : range.head,
+    baseBranch: range.base,
+    commits: commits.map((c) => `- ${c.subject}`).join('\n'),
+    commitList: commits.map((c) => c.subject),
+    commitHygiene: formatHygiene(hygiene, range.base),
+    hygieneProblems: hygiene.problems,
+    scopes,
+    scopeText: scopes.map((scope) => `\`${scope}\``).join(', '),
+    hasBreakingChanges: breakingChanges.length > 0,
+    breakingChanges: breakingChanges.map((note) => `- ${note}`).join('\n'),
+    breakingChangeList: breakingChanges,
+    issueReferences: issues.map(formatIssue).join('\n'),
+    stackLinks: stack && stack.branches.length > 1 ? formatStackLinks(stack, range.head, stackLink) : '',
+    issueList: issues,
+    files: changes.map((change) => change.path),
+    changes: generateChangesSection(categories, changes),
+    fileList: generateFileList(categories, changes),
+    uncommittedNote: formatUncommittedNote(changes),
+    uncommittedFiles: changes.filter((change) => change.uncommitted).map((change) => change.path),
+    categories: Object.entries(categories)
+      .filter(([, categoryFiles]) => categoryFiles.length > 0)
+      .map(([key, categoryFiles]) => ({
+        key,
+        label: categoryLabel(key),
+        files: categoryFiles,
+        count: categoryFiles.length,
+      })),
+    categoryChecklist: categoryDefinitions
+      .filter((category) => categories[category.key].length > 0)
+      .flatMap((category) => category.checklist)
+      .filter((item, index, self) => self.indexOf(item) === index)
+      .map((item) => `- [ ] ${item}`)
+      .join('\n'),
+    analysis,
+    dependencyChanges: formatDependencyChanges(dependencies),
+    dependencyChangeList: dependencies.manifests,
+    lockfileOnlyChanges: dependencies.lockfileOnly,
+    testGaps: formatTestGaps(testCoverage),
+    testGapList: testCoverage.files.filter((entry) => entry.status !== 'tested'),
+    riskFactors: formatRiskFactors(analysis),
+    riskFactorList: analysis.riskFactors.filter((factor) => factor.points > 0),
+    securityFindings: formatSecrets(secrets.findings),
+    securityFindingList: secrets.findings,
+    packages: formatPackages(workspace),
+    packageList: workspace.packages,
+    dependents: workspace.dependents,
+    suggestions: formatSuggestions(suggestions),
+    suggestionList: suggestions.map((s) => s.message),
+  };
 
-${
-  suggestions.length > 0
-    ? `### 💡 Generated Suggestions
+  const template = loadTemplate();
 
-${suggestions.map((s) => `- ${s}`).join('\n')}`
-    : ''
+  try {
+    return renderTemplate(template.source, context, template.name);
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    console.error(`${colors.red}❌ Template error: ${error.message}${colors.reset}`);
+    process.exit(1);
+  }
 }
 
----
-
-**Metadata**: Type: ${prType.type} | Priority: [High/Medium/Low] | Complexity: ${analysis.complexity} | Risk: ${analysis.risk}
-`;
+/**
+ * Format the line counts of a changed file
+ * @param {object} change - Changed file from getChangedFiles()
+ * @returns {string} e.g. "+12 / -3", or a binary marker
+ */
+function formatLineCounts(change) {
+  return change.binary ? '_binary_' : `+${change.added} / -${change.removed}`;
 }
 
 /**
- * Generate changes section grouped by category
+ * Generate changes section grouped by category, with deleted and renamed files listed separately
  * @param {object} categories - Categorized files
+ * @param {object[]} changes - Changed files from getChangedFiles()
  * @returns {string} Generated changes section
  */
-function generateChangesSection(categories) {
+function generateChangesSection(categories, changes) {
   let section = '';
-
-  const categoryLabels = {
-    components: 'Components',
-    hooks: 'Hooks',
-    utils: 'Utilities',
-    types: 'Types',
-    styles: 'Styles',
-    tests: 'Tests',
-    scripts: 'Scripts',
-    docs: 'Documentation',
-    config: 'Configuration',
-    other: 'Other Files',
-  };
+  const changeMap = new Map(changes.map((change) => [change.path, change]));
+  const deleted = changes.filter((change) => change.status === 'D');
+  const renamed = changes.filter((change) => change.status === 'R');
 
   Object.entries(categories).forEach(([key, files]) => {
-    if (files.length > 0) {
-      section += `#### ${categoryLabels[key]}\n\n`;
-      files.slice(0, 5).forEach((file) => {
-        section += `**\`${file}\`**\n\n`;
+    const described = files.filter((file) => !['D', 'R'].includes(changeMap.get(file).status));
+    if (described.length > 0) {
+      section += `#### ${categoryLabel(key)}\n\n`;
+      described.slice(0, 5).forEach((file) => {
+        const change = changeMap.get(file);
+        section += `**\`${file}\`** \`${change.status}\` ${formatLineCounts(change)}\n\n`;
         section += `<!-- TODO: Describe changes in this file -->\n`;
         section += `- Change description\n\n`;
       });
-      if (files.length > 5) {
-        section += `_...and ${files.length - 5} more files_\n\n`;
+      if (described.length > 5) {
+        section += `_...and ${described.length - 5} more files_\n\n`;
       }
     }
   });
 
+  if (renamed.length > 0) {
+    section += `#### Renamed Files\n\n`;
+    renamed.forEach((change) => {
+      section += `- \`R\` \`${change.oldPath}\` → \`${change.path}\` ${formatLineCounts(change)}\n`;
+    });
+    section += '\n<!-- TODO: Describe any changes made alongside the renames -->\n\n';
+  }
+
+  if (deleted.length > 0) {
+    section += `#### Deleted Files\n\n`;
+    deleted.forEach((change) => {
+      section += `- \`D\` \`${change.path}\` ${formatLineCounts(change)}\n`;
+    });
+    section += '\n<!-- TODO: Explain why these files were removed -->\n\n';
+  }
+
   return section || '<!-- TODO: Describe your changes -->';
 }
 
+/**
+ * Tell the AI which tickets to link: the ones found, else how the configured tracker writes them
+ * @param {object[]} issues - Ticket references from findIssues()
+ * @returns {string} Markdown
+ */
+function describeIssueLinks(issues) {
+  if (issues.length > 0) {
+    return `Link the tickets found in the branch and commits:\n${issues.map((i) => `- ${formatIssue(i)}`).join('\n')}`;
+  }
+  const example = ((issueTrackers[0] && issueTrackers[0].format) || '{key}').replace(/\{key\}/g, '<id>');
+  return `No ticket was found in the branch or commits. If there is one, link it as \`Closes ${example}\`.`;
+}
+
 /**
  * Generate AI agent prompt with all context
  * @param {string} summaryFile - Path to the generated PR summary
- * @param {string[]} commits - Array of commit messages
+ * @param {object} range - Range from resolveRange()
+ * @param {object[]} commits - Parsed commits
+ * @param {object[]} issues - Ticket references from findIssues()
  * @param {string[]} files - Array of changed files
+ * @param {object} context - Budgeted code changes from getCodeContext()
  * @returns {string} AI agent prompt
  */
-function generateAIPrompt(summaryFile, commits, files) {
+function generateAIPrompt(summaryFile, range, commits, issues, files, context) {
   const fileList = files.map((f) => `  - ${f}`).join('\n');
+  const start = range.from.slice(0, 12);
+  // Uncommitted changes are diffed against the working tree or the index
+  const diffCommand = {
+    working: `git diff ${start}`,
+    staged: `git diff --cached ${start}`,
+  }[range.uncommitted] || `git diff ${start}..${range.head}`;
 
   return `# Fill PR Summary: ${summaryFile}
 
@@ -654,7 +2887,7 @@ function generateAIPrompt(summaryFile, commits, files) {
 ${fileList}
 
 **Your Commits**:
-${commits.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+${commits.map((c, i) => `${i + 1}. ${c.subject}`).join('\n')}
 
 ---
 
@@ -666,9 +2899,10 @@ Read the actual code changes and fill in \`${summaryFile}\` with a complete, rev
 Check if there's a \`.github/PR_WRITING_GUIDE.md\` in your project - it may have examples and templates.
 
 ### Step 2: Analyze the Code Changes
-\`\`\`bash
-git diff ${baseBranch}..HEAD
-\`\`\`
+
+The changes are below, most important files first, with the functions and symbols each file touches. Files marked *outline only* or *hunk headers only* were too large to include in full - if you can run commands, read them with \`${diffCommand} -- <file>\`.
+
+${renderCodeContext(context)}
 
 For each changed file, understand:
 - **What** changed (which functions, variables, logic)
@@ -719,7 +2953,7 @@ Verify and check off all items in the regression testing checklist
 Check the appropriate boxes and fill in details
 
 #### 🔗 Related Issues
-Link to the issue: \`Closes #123\`
+${describeIssueLinks(issues)}
 
 #### ✅ Checklist
 Check ALL relevant items!
@@ -739,24 +2973,48 @@ Check ALL relevant items!
 `;
 }
 
+/**
+ * Describe the uncommitted changes a summary includes
+ * @param {object[]} changes - Changed files from getChangedFiles()
+ * @returns {string} Markdown note, or an empty string when everything is committed
+ */
+function formatUncommittedNote(changes) {
+  const uncommitted = changes.filter((change) => change.uncommitted);
+  if (uncommitted.length === 0) return '';
+
+  const counts = ['staged', 'unstaged', 'untracked']
+    .map((state) => [state, uncommitted.filter((change) => change.uncommitted === state).length])
+    .filter(([, count]) => count > 0)
+    .map(([state, count]) => `${count} ${state}`);
+  const files = uncommitted.length === 1 ? '1 file is' : `${uncommitted.length} files are`;
+  const note = `${files} not committed yet (${counts.join(', ')})`;
+  return `> **Uncommitted changes**: ${note}. Commit them before opening the PR.`;
+}
+
 /**
  * Generate file list by category
  * @param {object} categories - Categorized files
+ * @param {object[]} changes - Changed files from getChangedFiles()
  * @returns {string} Generated file list
  */
-function generateFileList(categories) {
+function generateFileList(categories, changes) {
   let list = '';
+  const changeMap = new Map(changes.map((change) => [change.path, change]));
+  const marker = (file) => {
+    const state = changeMap.get(file).uncommitted;
+    return state ? ` _(${state === 'untracked' ? 'untracked' : 'uncommitted'})_` : '';
+  };
 
   Object.entries(categories).forEach(([key, files]) => {
-    if (files.length > 0) {
-      list += `**${key.charAt(0).toUpperCase() + key.slice(1)}** (${files.length}):\n`;
-      files.slice(0, 10).forEach((file) => {
-        list += `- \`${file}\`\n`;
-      });
-      if (files.length > 10) {
-        list += `- _...and ${files.length - 10} more_\n`;
-      }
-      list += '\n';
+    if (files.length === 0) return;
+
+    const items = files.map((file) => `- \`${file}\`${marker(file)}\n`).join('');
+    // Long lists are collapsed so they don't push the rest of the summary down
+    if (files.length > 10) {
+      const summary = `<summary><b>${categoryLabel(key)}</b> (${files.length})</summary>`;
+      list += `<details>\n${summary}\n\n${items}\n</details>\n\n`;
+    } else {
+      list += `**${categoryLabel(key)}** (${files.length}):\n${items}\n`;
     }
   });
 
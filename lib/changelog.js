@@ -0,0 +1,259 @@
+/**
+ * Changelog Generation
+ *
+ * Turns the commits of a release into a Keep a Changelog section
+ * (https://keepachangelog.com):
+ *
+ *   ## [1.3.0] - 2026-10-19
+ *
+ *   ### Added
+ *
+ *   - **ui:** Dark mode toggle (#45)
+ *
+ * Conventional Commits are grouped by type (`feat` is Added, `fix` is Fixed,
+ * `perf`, `refactor` and `revert` are Changed), other commits by their first
+ * word. Deprecations, removals and security fixes get their own groups.
+ * `docs`, `test`, `build`, `ci`, `chore` and `style` commits are left out
+ * unless they are breaking, and so are release commits, merges and
+ * leftover `fixup!` or WIP commits.
+ */
+
+// Keep a Changelog groups, in the order they are listed
+const GROUPS = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Conventional Commits types that do not change what users get
+const SKIPPED_TYPES = ['docs', 'test', 'build', 'ci', 'chore', 'style'];
+
+// Commits that only cut a release, e.g. `chore(release): 1.2.0` or `v1.2.0`
+const RELEASE_PATTERN = /^(?:chore\(release\):|release:?|bump version(?: to)?)?\s*v?\d+\.\d+\.\d+\S*$/i;
+
+// Commits that were meant to be squashed away, and merges
+const SKIPPED_PATTERN = /^(?:fixup!|squash!|amend!|wip\b|Merge (?:branch|remote-tracking branch|pull request|tag)\b)/i;
+
+const SECURITY_PATTERN = /\b(security|vulnerabilit(y|ies)|CVE-\d{4}-\d+)\b/i;
+const DEPRECATED_PATTERN = /\bdeprecat/i;
+const REMOVED_PATTERN = /^(remove[sd]?|drop(s|ped)?|delete[sd]?)\b/i;
+
+// First words of commits that don't follow Conventional Commits
+const keywordGroups = [
+  ['Fixed', /^(fix(es|ed)?|resolve[sd]?|correct(s|ed)?)\b/i],
+  ['Removed', REMOVED_PATTERN],
+  ['Added', /^(add(s|ed)?|implement(s|ed)?|introduce[sd]?|support(s|ed)?|new)\b/i],
+];
+
+/**
+ * Pick the changelog group of a commit
+ * @param {object} commit - Parsed commit
+ * @returns {string|null} Group, or null if the commit is left out
+ */
+function groupOf(commit) {
+  const text = commit.conventional ? commit.description : commit.subject;
+  if (RELEASE_PATTERN.test(commit.subject) || SKIPPED_PATTERN.test(commit.subject)) return null;
+  if (SECURITY_PATTERN.test(text) || commit.scope === 'security') return 'Security';
+  if (DEPRECATED_PATTERN.test(text)) return 'Deprecated';
+
+  if (commit.conventional) {
+    if (SKIPPED_TYPES.includes(commit.type) && !commit.breaking) return null;
+    if (commit.type === 'fix') return 'Fixed';
+    if (REMOVED_PATTERN.test(text)) return 'Removed';
+    return commit.type === 'feat' ? 'Added' : 'Changed';
+  }
+
+  const match = keywordGroups.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'Changed';
+}
+
+/**
+ * Turn a commit description into changelog text: capitalized, without a trailing period
+ * @param {string} text - Description
+ * @returns {string} Entry text
+ */
+function entryText(text) {
+  const trimmed = text.trim().replace(/\.$/, '');
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+}
+
+/**
+ * Render an entry as a Markdown list item, with breaking change notes indented below it
+ * @param {{scope: string|null, text: string, breaking: boolean, notes: string[]}} entry - Entry
+ * @returns {string} List item
+ */
+function formatEntry(entry) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : '';
+  const breaking = entry.breaking ? ' **(breaking)**' : '';
+  return [`- ${scope}${entry.text}${breaking}`, ...entry.notes.map((note) => `  - ${note}`)].join('\n');
+}
+
+/**
+ * Build a release from its commits
+ * @param {object[]} commits - Parsed commits, newest first; a `pullRequest` (e.g. `#12`) is appended to the entry
+ * @param {{version: string, date: string|null}} heading - Version (or `Unreleased`) and release date
+ * @returns {{
+ *   version: string,
+ *   date: string|null,
+ *   entries: {group: string, scope: string|null, text: string, breaking: boolean, notes: string[], hash: string}[],
+ *   counts: {breaking: number, features: number, fixes: number}
+ * }} Release; entries are in group order, then by scope, oldest first
+ */
+function buildRelease(commits, { version, date }) {
+  const seen = new Set();
+  const entries = [];
+
+  [...commits].reverse().forEach((commit) => {
+    const group = groupOf(commit);
+    if (!group) return;
+
+    let text = entryText(commit.conventional ? commit.description : commit.subject);
+    if (commit.pullRequest && !text.includes(commit.pullRequest)) text += ` (${commit.pullRequest})`;
+    const entry = {
+      group,
+      scope: commit.scope || null,
+      text,
+      breaking: commit.breaking,
+      // A `feat!:` commit repeats its description as the note
+      notes: commit.breakingNotes.filter((note) => note !== commit.description).map(entryText),
+      hash: commit.hash,
+    };
+
+    // Cherry-picks and re-applied commits appear twice
+    const line = formatEntry(entry);
+    if (seen.has(line)) return;
+    seen.add(line);
+    entries.push(entry);
+  });
+
+  entries.sort(
+    (a, b) => GROUPS.indexOf(a.group) - GROUPS.indexOf(b.group) || (a.scope || '').localeCompare(b.scope || '')
+  );
+
+  return {
+    version,
+    date,
+    entries,
+    counts: {
+      breaking: entries.filter((entry) => entry.breaking).length,
+      features: entries.filter((entry) => entry.group === 'Added').length,
+      fixes: entries.filter((entry) => entry.group === 'Fixed').length,
+    },
+  };
+}
+
+/**
+ * Suggest the next version from a release's breaking changes, features and fixes
+ * @param {string} previous - Previous version or tag, e.g. `v1.2.3`
+ * @param {{breaking: number, features: number}} counts - Counts from buildRelease()
+ * @returns {{version: string, bump: string}|null} Next version without a `v` prefix, or null if `previous` is
+ *   not a version; breaking changes before 1.0.0 bump the minor version
+ */
+function suggestVersion(previous, { breaking, features }) {
+  const match = String(previous || '').match(/^v?(\d+)\.(\d+)\.(\d+)/);
+  if (!match) return null;
+
+  const [major, minor, patch] = match.slice(1).map(Number);
+  if (breaking > 0 && major > 0) return { version: `${major + 1}.0.0`, bump: 'major' };
+  if (breaking > 0 || features > 0) return { version: `${major}.${minor + 1}.0`, bump: 'minor' };
+  return { version: `${major}.${minor}.${patch + 1}`, bump: 'patch' };
+}
+
+/**
+ * Render the heading of a release
+ * @param {{version: string, date: string|null}} release - Release
+ * @returns {string} `## [1.3.0] - 2026-10-19`, or `## [Unreleased]`
+ */
+function formatHeading({ version, date }) {
+  return `## [${version}]${date ? ` - ${date}` : ''}`;
+}
+
+/**
+ * Render the group sections of some entries
+ * @param {object[]} entries - Entries from buildRelease()
+ * @returns {string[]} `### Group` sections, each with its list
+ */
+function renderGroups(entries) {
+  return GROUPS.filter((group) => entries.some((entry) => entry.group === group)).map((group) =>
+    [`### ${group}`, '', ...entries.filter((entry) => entry.group === group).map(formatEntry)].join('\n')
+  );
+}
+
+/**
+ * Render a release as Markdown
+ * @param {object} release - Release from buildRelease()
+ * @returns {string} Release section
+ */
+function renderRelease(release) {
+  return `${[formatHeading(release), ...renderGroups(release.entries)].join('\n\n')}\n`;
+}
+
+// Start of a new CHANGELOG.md
+const CHANGELOG_HEADER = [
+  '# Changelog',
+  '',
+  'All notable changes to this project will be documented in this file.',
+  '',
+  'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),',
+  'and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).',
+  '',
+].join('\n');
+
+/**
+ * Add a release to a changelog, leaving out entries it already lists.
+ * A release whose version already has a section is merged into it; a new one
+ * goes above the newest release, below `[Unreleased]`.
+ * @param {string} existing - Current changelog, empty if there is none
+ * @param {object} release - Release from buildRelease()
+ * @returns {{text: string, added: object[]}} Updated changelog and the entries that were new
+ */
+function updateChangelog(existing, release) {
+  const known = new Set(
+    existing
+      .split('\n')
+      .filter((line) => /^\s*[-*]\s/.test(line))
+      .map((line) => line.trim().replace(/^[-*]\s+/, ''))
+  );
+  const added = release.entries.filter((entry) => !known.has(formatEntry(entry).split('\n')[0].slice(2)));
+  if (added.length === 0) return { text: existing, added };
+
+  const lines = (existing || CHANGELOG_HEADER).replace(/\s+$/, '').split('\n');
+  const isHeading = (line) => /^## /.test(line);
+  const sectionEnd = (start) => {
+    const next = lines.findIndex((line, index) => index > start && isHeading(line));
+    return next === -1 ? lines.length : next;
+  };
+  const escaped = release.version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const versionPattern = new RegExp(`^## \\[?${escaped}\\]?(\\s|$)`, 'i');
+  const current = lines.findIndex((line) => versionPattern.test(line));
+
+  if (current === -1) {
+    const unreleased = lines.findIndex((line) => /^## \[?unreleased\]?/i.test(line));
+    const at = unreleased === -1 ? sectionEnd(-1) : sectionEnd(unreleased);
+    const before = lines.slice(0, at).join('\n').trimEnd();
+    const after = lines.slice(at).join('\n');
+    const section = renderRelease({ ...release, entries: added });
+    return { text: `${before ? `${before}\n\n` : ''}${section}${after ? `\n${after}\n` : ''}`, added };
+  }
+
+  // Append to the matching group of the existing section, or add the group at its end
+  GROUPS.forEach((group) => {
+    const entries = added.filter((entry) => entry.group === group);
+    if (entries.length === 0) return;
+
+    const end = sectionEnd(current);
+    const start = lines.findIndex((line, index) => index > current && index < end && line === `### ${group}`);
+    let last = start === -1 ? current : start;
+    for (let index = last + 1; index < end && (start === -1 || !/^#{2,3} /.test(lines[index])); index += 1) {
+      if (lines[index].trim() !== '') last = index;
+    }
+
+    const block = start === -1 ? ['', ...renderGroups(entries)] : entries.map(formatEntry);
+    lines.splice(last + 1, 0, ...block.join('\n').split('\n'));
+  });
+
+  return { text: `${lines.join('\n')}\n`, added };
+}
+
+module.exports = {
+  buildRelease,
+  renderRelease,
+  suggestVersion,
+  updateChangelog,
+};
@@ -0,0 +1,178 @@
+/**
+ * Command Line Parsing
+ *
+ * Parses arguments against a declared option spec:
+ *
+ *   {
+ *     output: { type: 'string', alias: 'o', valueName: 'file', description: 'Output file' },
+ *     stdout: { type: 'boolean', description: 'Print instead of writing a file' },
+ *     exclude: { type: 'array', valueName: 'pattern', description: 'Exclude files (repeatable)' },
+ *     format: { type: 'string', choices: ['markdown', 'json'] },
+ *   }
+ *
+ * Supports `--name value`, `--name=value`, `-o value`, `--no-name` for booleans
+ * and `--` to end option parsing. Option names are returned in camelCase.
+ */
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+/**
+ * Convert a kebab-case option name to camelCase
+ * @param {string} name - Option name, e.g. `explain-excludes`
+ * @returns {string} camelCase name, e.g. `explainExcludes`
+ */
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Check whether a spec declares an option, ignoring names inherited from Object, like `constructor`
+ * @param {object} spec - Option spec
+ * @param {string} [name] - Option name
+ * @returns {boolean} True if the option is declared
+ */
+function hasOption(spec, name) {
+  return name !== undefined && Object.prototype.hasOwnProperty.call(spec, name);
+}
+
+/**
+ * Parse arguments against an option spec
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {object} spec - Option spec, keyed by kebab-case option name
+ * @returns {{options: object, positionals: string[]}} Parsed options (camelCase keys) and positionals
+ * @throws {CliError} On unknown options, missing values or invalid choices
+ */
+function parseArgs(argv, spec) {
+  const options = {};
+  const positionals = [];
+  const aliases = Object.create(null);
+
+  Object.entries(spec).forEach(([name, option]) => {
+    if (option.alias) aliases[option.alias] = name;
+    if (option.type === 'array') options[camelCase(name)] = [];
+    else if (option.default !== undefined) options[camelCase(name)] = option.default;
+  });
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+
+    if (token === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!token.startsWith('-') || token === '-') {
+      positionals.push(token);
+      continue;
+    }
+
+    const eq = token.indexOf('=');
+    const flag = eq === -1 ? token : token.slice(0, eq);
+    const inlineValue = eq === -1 ? undefined : token.slice(eq + 1);
+    let name = flag.startsWith('--') ? flag.slice(2) : aliases[flag.slice(1)];
+    let negated = false;
+
+    if (flag.startsWith('--') && !hasOption(spec, name) && name.startsWith('no-') && hasOption(spec, name.slice(3))) {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    const option = hasOption(spec, name) ? spec[name] : undefined;
+    if (!option || (negated && option.type !== 'boolean')) {
+      throw new CliError(`Unknown option "${flag}"`);
+    }
+
+    const key = camelCase(name);
+
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined && !['true', 'false'].includes(inlineValue)) {
+        throw new CliError(`Option "--${name}" is a flag and takes no value`);
+      }
+      options[key] = negated ? false : inlineValue !== 'false';
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      if (i + 1 >= argv.length || (argv[i + 1].startsWith('-') && argv[i + 1] !== '-')) {
+        throw new CliError(`Option "--${name}" needs a value`);
+      }
+      i += 1;
+      value = argv[i];
+    }
+
+    if (option.choices && !option.choices.includes(value)) {
+      throw new CliError(`Invalid value "${value}" for "--${name}" (expected ${option.choices.join(', ')})`);
+    }
+
+    if (option.type === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) throw new CliError(`Option "--${name}" needs a number, got "${value}"`);
+      options[key] = number;
+    } else if (option.type === 'array') {
+      options[key].push(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Format option help lines
+ * @param {object} spec - Option spec
+ * @returns {string[]} Aligned lines
+ */
+function formatOptions(spec) {
+  const rows = Object.entries(spec).map(([name, option]) => {
+    const alias = option.alias ? `-${option.alias}, ` : '    ';
+    const valueName = option.valueName || (option.choices ? option.choices.join('|') : 'value');
+    const value = option.type === 'boolean' ? '' : ` <${valueName}>`;
+    // Flags that default to on are documented by their negated form
+    const flag = option.type === 'boolean' && option.default === true ? `no-${name}` : name;
+    return [`${alias}--${flag}${value}`, option.description || ''];
+  });
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`);
+}
+
+/**
+ * Generate help text
+ * @param {object} help - Help content
+ * @param {string} help.usage - Usage line(s)
+ * @param {string} [help.description] - What the command does
+ * @param {{name: string, summary: string}[]} [help.commands] - Subcommands
+ * @param {object} [help.options] - Option spec
+ * @param {string[]} [help.examples] - Example invocations
+ * @param {string} [help.footer] - Closing note
+ * @returns {string} Help text
+ */
+function formatHelp({ usage, description, commands, options, examples, footer }) {
+  const sections = [`Usage: ${usage}`];
+
+  if (description) sections.push(description);
+  if (commands && commands.length > 0) {
+    const width = Math.max(...commands.map((command) => command.name.length));
+    sections.push(['Commands:', ...commands.map((c) => `  ${c.name.padEnd(width)}  ${c.summary}`)].join('\n'));
+  }
+  if (options && Object.keys(options).length > 0) {
+    sections.push(['Options:', ...formatOptions(options)].join('\n'));
+  }
+  if (examples && examples.length > 0) {
+    sections.push(['Examples:', ...examples.map((example) => `  ${example}`)].join('\n'));
+  }
+  if (footer) sections.push(footer);
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+  CliError,
+  formatHelp,
+  parseArgs,
+};
@@ -0,0 +1,293 @@
+/* eslint-disable no-plusplus */
+
+/**
+ * Config File Validation
+ *
+ * Parses `.prsummaryrc.json` while remembering where every value sits, then
+ * checks it against schema/config.schema.json so problems are reported as
+ * `file:line:column: message` instead of being silently ignored.
+ *
+ * The validator covers the JSON Schema keywords the config schema uses:
+ * type, enum, minLength, minimum, properties, additionalProperties, required,
+ * items and local $ref.
+ */
+
+const configSchema = require('../schema/config.schema.json');
+
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - Problem descriptions, one per line
+   */
+  constructor(problems) {
+    super(problems.join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Format a property path for messages, e.g. `categories[2].match`
+ * @param {(string|number)[]} segments - Path segments
+ * @returns {string} Display path
+ */
+function formatPath(segments) {
+  return segments.reduce(
+    (text, segment) => (typeof segment === 'number' ? `${text}[${segment}]` : text ? `${text}.${segment}` : segment),
+    ''
+  );
+}
+
+/**
+ * Parse JSON, recording the line and column of every value and property name
+ * @param {string} text - JSON source
+ * @param {string} fileName - File name, for error messages
+ * @returns {{value: *, locations: Map<string, {line: number, column: number}>, keyLocations: Map<string, {line: number, column: number}>}} Parsed value and locations keyed by display path
+ * @throws {ConfigError} On invalid JSON
+ */
+function parseWithLocations(text, fileName) {
+  const locations = new Map();
+  const keyLocations = new Map();
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const here = () => ({ line, column: pos - lineStart + 1 });
+  const fail = (message) => {
+    const { line: errorLine, column } = here();
+    throw new ConfigError([`${fileName}:${errorLine}:${column}: ${message}`]);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') {
+        line++;
+        lineStart = pos + 1;
+      }
+      pos++;
+    }
+  };
+
+  const describe = () => (pos >= text.length ? 'end of file' : `'${text[pos]}'`);
+
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\n') fail('Unterminated string');
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    try {
+      return JSON.parse(text.slice(start, pos));
+    } catch (error) {
+      pos = start;
+      return fail('Invalid escape in string');
+    }
+  };
+
+  let parseValue;
+
+  const parseObject = (segments) => {
+    const result = {};
+    pos++;
+    skipWhitespace();
+    if (text[pos] === '}') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail(`Expected a property name but found ${describe()}`);
+      const keyLocation = here();
+      const key = parseString();
+      keyLocations.set(formatPath([...segments, key]), keyLocation);
+      skipWhitespace();
+      if (text[pos] !== ':') fail(`Expected ":" after "${key}" but found ${describe()}`);
+      pos++;
+      result[key] = parseValue([...segments, key]);
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+        skipWhitespace();
+        if (text[pos] === '}') fail('Trailing comma before "}"');
+      } else if (text[pos] === '}') {
+        pos++;
+        return result;
+      } else {
+        fail(`Expected "," or "}" but found ${describe()}`);
+      }
+    }
+  };
+
+  const parseArray = (segments) => {
+    const result = [];
+    pos++;
+    skipWhitespace();
+    if (text[pos] === ']') {
+      pos++;
+      return result;
+    }
+    for (;;) {
+      result.push(parseValue([...segments, result.length]));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+        skipWhitespace();
+        if (text[pos] === ']') fail('Trailing comma before "]"');
+      } else if (text[pos] === ']') {
+        pos++;
+        return result;
+      } else {
+        fail(`Expected "," or "]" but found ${describe()}`);
+      }
+    }
+  };
+
+  parseValue = (segments) => {
+    skipWhitespace();
+    locations.set(formatPath(segments), here());
+    const char = text[pos];
+
+    if (char === '{') return parseObject(segments);
+    if (char === '[') return parseArray(segments);
+    if (char === '"') return parseString();
+
+    const literal = text.slice(pos).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!literal) return fail(`Unexpected ${describe()}`);
+    pos += literal[0].length;
+    return JSON.parse(literal[0]);
+  };
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) fail(`Unexpected ${describe()} after the end of the config`);
+
+  return { value, locations, keyLocations };
+}
+
+/**
+ * JSON type name of a value, as used by the `type` keyword
+ * @param {*} value - Any JSON value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Resolve a local `$ref`
+ * @param {object} schema - Schema node
+ * @param {object} root - Root schema
+ * @returns {object} Referenced schema, or the node itself
+ */
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  return schema.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], root);
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schemaNode - Schema for the value
+ * @param {object} root - Root schema, for $ref
+ * @param {(string|number)[]} segments - Path of the value
+ * @returns {{path: string, key: boolean, message: string}[]} Problems; `key` marks problems with the property name itself
+ */
+function validateValue(value, schemaNode, root, segments) {
+  const schema = resolveRef(schemaNode, root);
+  const at = formatPath(segments) || 'config';
+  const problems = [];
+  const problem = (message) => problems.push({ path: formatPath(segments), key: false, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    const matches = types.some((type) => type === actual || (type === 'integer' && Number.isInteger(value)));
+    if (!matches) {
+      problem(`"${at}" must be ${types.join(' or ')}, got ${actual}`);
+      return problems;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problem(`"${at}" must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+    problem(`"${at}" must not be empty`);
+  }
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    problem(`"${at}" must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((name) => {
+      if (!(name in value)) problem(`"${at}" needs a "${name}"`);
+    });
+    Object.keys(value).forEach((name) => {
+      const propertySchema = schema.properties && schema.properties[name];
+      if (propertySchema) {
+        problems.push(...validateValue(value[name], propertySchema, root, [...segments, name]));
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(schema.properties || {}).filter((key) => key !== '$schema');
+        problems.push({
+          path: formatPath([...segments, name]),
+          key: true,
+          message: `Unknown option "${formatPath([...segments, name])}" (expected one of ${known.join(', ')})`,
+        });
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateValue(item, schema.items, root, [...segments, index]));
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check a parsed config object against the config schema
+ * @param {object} config - Parsed config
+ * @returns {{path: string, key: boolean, message: string}[]} Problems, empty when valid
+ */
+function validateConfig(config) {
+  return validateValue(config, configSchema, configSchema, []);
+}
+
+/**
+ * Parse and validate config file contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, for error messages
+ * @returns {object} Parsed config
+ * @throws {ConfigError} With one `file:line:column: message` entry per problem
+ */
+function parseConfig(text, fileName) {
+  const parsed = parseWithLocations(text.replace(/^\uFEFF/, ''), fileName);
+
+  const problems = validateConfig(parsed.value);
+  if (problems.length > 0) {
+    throw new ConfigError(
+      problems.map((problem) => {
+        const location =
+          (problem.key && parsed.keyLocations.get(problem.path)) || parsed.locations.get(problem.path) || { line: 1, column: 1 };
+        return `${fileName}:${location.line}:${location.column}: ${problem.message}`;
+      })
+    );
+  }
+
+  return parsed.value;
+}
+
+module.exports = {
+  ConfigError,
+  parseConfig,
+  validateConfig,
+};
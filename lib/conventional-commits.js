@@ -0,0 +1,125 @@
+/**
+ * Conventional Commits Parser
+ *
+ * Parses full commit messages following https://www.conventionalcommits.org:
+ *
+ *   <type>[(scope)][!]: <description>
+ *
+ *   [body]
+ *
+ *   [BREAKING CHANGE: <note>]
+ *   [Closes #123]
+ */
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^()\r\n]*)\))?(!)?:[ \t]+(.+)$/;
+const FOOTER_PATTERN = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*(?: [a-z]+)?)(?::[ \t]*| #)(.*)$/;
+const ISSUE_PATTERN = /(?:[\w.-]+\/[\w.-]+)?#\d+/g;
+
+// Footer tokens that close an issue vs. only reference it
+const CLOSING_TOKENS = ['close', 'closes', 'closed', 'fix', 'fixes', 'fixed', 'resolve', 'resolves', 'resolved'];
+const RELATED_TOKENS = ['refs', 'ref', 'references', 'related', 'related to', 'see', 'part of'];
+
+/**
+ * Split the lines after the header into body and footer lines.
+ * The footer is the trailing paragraphs that each start with a footer token,
+ * e.g. a `BREAKING CHANGE:` note followed by a separate `Closes #45` paragraph.
+ * @param {string[]} lines - Message lines without the header
+ * @returns {{body: string[], footer: string[]}} Body and footer lines
+ */
+function splitBody(lines) {
+  let end = lines.length;
+  while (end > 0 && lines[end - 1].trim() === '') end -= 1;
+
+  let footerStart = end;
+  for (;;) {
+    let start = footerStart;
+    while (start > 0 && lines[start - 1].trim() === '') start -= 1;
+    const paragraphEnd = start;
+    while (start > 0 && lines[start - 1].trim() !== '') start -= 1;
+    if (start === paragraphEnd || !FOOTER_PATTERN.test(lines[start])) break;
+    footerStart = start;
+  }
+
+  return { body: lines.slice(0, footerStart), footer: lines.slice(footerStart, end) };
+}
+
+/**
+ * Parse footer lines into token/value pairs, joining continuation lines
+ * @param {string[]} lines - Footer lines
+ * @returns {{token: string, value: string}[]} Footers
+ */
+function parseFooters(lines) {
+  const footers = [];
+
+  lines.forEach((line) => {
+    const match = line.match(FOOTER_PATTERN);
+    if (match) {
+      const hashForm = line.charAt(match[1].length) === ' ' && line.charAt(match[1].length + 1) === '#';
+      footers.push({ token: match[1], value: hashForm ? `#${match[2]}` : match[2] });
+    } else if (footers.length > 0) {
+      footers[footers.length - 1].value += `\n${line}`;
+    }
+  });
+
+  return footers.map((footer) => ({ ...footer, value: footer.value.trim() }));
+}
+
+/**
+ * Parse a full commit message (subject and body)
+ * @param {string} message - Raw commit message
+ * @returns {{
+ *   type: string|null,
+ *   scope: string|null,
+ *   description: string,
+ *   header: string,
+ *   body: string,
+ *   footers: {token: string, value: string}[],
+ *   breaking: boolean,
+ *   breakingNotes: string[],
+ *   references: {action: string, issue: string}[],
+ *   conventional: boolean
+ * }} Parsed commit
+ */
+function parseCommitMessage(message) {
+  const lines = String(message || '').replace(/\r\n/g, '\n').trim().split('\n');
+  const header = lines[0].trim();
+  const match = header.match(HEADER_PATTERN);
+  const { body, footer } = splitBody(lines.slice(1));
+  const footers = parseFooters(footer);
+
+  const breakingNotes = footers
+    .filter((f) => /^BREAKING[ -]CHANGE$/.test(f.token))
+    .map((f) => f.value);
+  if (match && match[3] && breakingNotes.length === 0) {
+    breakingNotes.push(match[4].trim());
+  }
+
+  const references = [];
+  footers.forEach((f) => {
+    const token = f.token.toLowerCase();
+    let action = null;
+    if (CLOSING_TOKENS.includes(token)) action = 'closes';
+    else if (RELATED_TOKENS.includes(token)) action = 'related';
+    if (!action) return;
+    (f.value.match(ISSUE_PATTERN) || []).forEach((issue) => references.push({ action, issue }));
+  });
+
+  return {
+    type: match ? match[1].toLowerCase() : null,
+    scope: match && match[2] ? match[2].trim() : null,
+    description: match ? match[4].trim() : header,
+    header,
+    body: body.join('\n').trim(),
+    footers,
+    breaking: breakingNotes.length > 0,
+    breakingNotes,
+    references,
+    conventional: Boolean(match),
+  };
+}
+
+module.exports = {
+  CLOSING_TOKENS,
+  RELATED_TOKENS,
+  parseCommitMessage,
+};
@@ -0,0 +1,194 @@
+/**
+ * Test Gaps and Coverage
+ *
+ * Pairs each changed source file with the test files expected to cover it,
+ * using path templates:
+ *
+ *   {dir}/{name}.test.{ext}        src/cart.ts → src/cart.test.ts
+ *   {dir}/__tests__/{name}.{ext}   src/cart.ts → src/__tests__/cart.ts
+ *   tests/test_{name}.{ext}        app/cart.py → tests/test_cart.py
+ *
+ * `{dir}` is the directory of the source file, `{name}` its name without the
+ * extension, `{ext}` the extension and `{path}` the whole path without it.
+ *
+ * A source file is `tested` when one of its test files changed too, `stale`
+ * when a test file exists but did not change, and `missing` when none exists.
+ * Coverage comes from an lcov report (per changed line) or an Istanbul
+ * `coverage-summary.json` (per file).
+ */
+
+const path = require('path');
+const { matchesGlob } = require('./glob');
+
+// Files that count as source code
+const SOURCE_PATTERN =
+  /\.(js|jsx|ts|tsx|mjs|cjs|vue|svelte|py|go|rs|rb|java|kt|swift|cs|php|scala|c|cc|cpp|h|hpp|m|ex|exs)$/;
+
+// Files that are tests by name or location, whatever the configured templates say
+const TEST_PATTERN = /(^|\/)(__tests__|__mocks__|tests?|spec)\/|\.(test|spec)\.[^/]+$|_test\.[^/]+$|(^|\/)test_[^/]+$/;
+
+/**
+ * Check whether a file is source code
+ * @param {string} file - Repository-relative path
+ * @returns {boolean} True for code files in common languages
+ */
+function isSourceFile(file) {
+  return SOURCE_PATTERN.test(file);
+}
+
+/**
+ * Check whether a file is a test
+ * @param {string} file - Repository-relative path
+ * @returns {boolean} True for `*.test.*`, `*.spec.*`, `*_test.*`, `test_*` and files in test folders
+ */
+function isTestFile(file) {
+  return TEST_PATTERN.test(file);
+}
+
+/**
+ * Expand test path templates for a source file
+ * @param {string} file - Repository-relative source path
+ * @param {string[]} patterns - Templates with `{dir}`, `{name}`, `{ext}` and `{path}`
+ * @returns {string[]} Candidate test paths
+ */
+function expectedTestPaths(file, patterns) {
+  const ext = path.posix.extname(file);
+  const values = {
+    dir: path.posix.dirname(file),
+    name: path.posix.basename(file, ext),
+    ext: ext.slice(1),
+    path: file.slice(0, file.length - ext.length),
+  };
+
+  return patterns.map((pattern) =>
+    path.posix.normalize(pattern.replace(/\{(dir|name|ext|path)\}/g, (match, key) => values[key]))
+  );
+}
+
+/**
+ * Pair changed source files with their tests
+ * @param {object} options - What to pair
+ * @param {object[]} options.changes - Changed files from getChangedFiles()
+ * @param {string[]} options.trackedFiles - Repository-relative paths of every tracked file
+ * @param {string[]} options.patterns - Test path templates, see expectedTestPaths()
+ * @param {string[]} [options.ignore] - Globs of source files that need no tests
+ * @returns {{file: string, status: string, tests: string[]}[]} One entry per changed source file; `tests` are the
+ *   existing test files for it
+ */
+function pairTests({ changes, trackedFiles, patterns, ignore = [] }) {
+  // Deleted files and renames without edits need no tests, and do not count as updating one
+  const edited = changes.filter(
+    (change) => change.status !== 'D' && !(change.status === 'R' && change.added === 0 && change.removed === 0)
+  );
+  const changed = new Set(edited.map((change) => change.path));
+  const tracked = new Set(trackedFiles);
+
+  return edited
+    .filter((change) => isSourceFile(change.path) && !isTestFile(change.path))
+    .filter((change) => !ignore.some((glob) => matchesGlob(change.path, glob)))
+    .map((change) => {
+      const tests = expectedTestPaths(change.path, patterns).filter(
+        (test, index, all) => test !== change.path && all.indexOf(test) === index
+      );
+      const existing = tests.filter((test) => tracked.has(test) || changed.has(test));
+      let status = 'missing';
+      if (existing.some((test) => changed.has(test))) status = 'tested';
+      else if (existing.length > 0) status = 'stale';
+      return { file: change.path, status, tests: existing };
+    });
+}
+
+/**
+ * Make a path from a coverage report repository-relative
+ * @param {string} root - Repository root
+ * @param {string} file - Absolute or root-relative path
+ * @returns {string} Repository-relative path with forward slashes
+ */
+function relativePath(root, file) {
+  return path.relative(root, path.resolve(root, file)).split(path.sep).join('/');
+}
+
+/**
+ * Parse an lcov report
+ * @param {string} text - Contents of `lcov.info`
+ * @param {string} root - Repository root, for resolving `SF:` paths
+ * @returns {Map<string, Map<number, number>>} Hit count per instrumented line, per file
+ */
+function parseLcov(text, root) {
+  const files = new Map();
+  let lines = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('SF:')) {
+      lines = new Map();
+      files.set(relativePath(root, line.slice(3).trim()), lines);
+    } else if (line.startsWith('DA:') && lines) {
+      const [lineNumber, hits] = line.slice(3).split(',');
+      lines.set(Number(lineNumber), Number(hits));
+    } else if (line === 'end_of_record') {
+      lines = null;
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Parse an Istanbul `coverage-summary.json`
+ * @param {string} text - Report contents
+ * @param {string} root - Repository root, for resolving file keys
+ * @returns {Map<string, {covered: number, total: number}>} Line coverage per file
+ */
+function parseCoverageSummary(text, root) {
+  const summary = JSON.parse(text);
+  const files = new Map();
+
+  Object.keys(summary)
+    .filter((key) => key !== 'total' && summary[key].lines)
+    .forEach((key) => {
+      files.set(relativePath(root, key), { covered: summary[key].lines.covered, total: summary[key].lines.total });
+    });
+
+  return files;
+}
+
+/**
+ * Read a coverage report
+ * @param {string} file - Report path, `.info` for lcov and `.json` for a coverage summary
+ * @param {string} text - Report contents
+ * @param {string} root - Repository root
+ * @returns {{report: string, lines: Map|null, files: Map|null}} Per-line (lcov) or per-file (summary) coverage
+ */
+function readCoverageReport(file, text, root) {
+  if (file.endsWith('.json')) return { report: file, lines: null, files: parseCoverageSummary(text, root) };
+  return { report: file, lines: parseLcov(text, root), files: null };
+}
+
+/**
+ * Measure coverage of a changed file
+ * @param {{lines: Map|null, files: Map|null}} coverage - Coverage from readCoverageReport()
+ * @param {string} file - Repository-relative path
+ * @param {number[]} addedLines - Line numbers added or changed in the file
+ * @returns {{covered: number, total: number, scope: string}|null} Covered and instrumented lines: `changed lines`
+ *   (lcov) or `lines in file` (summary); null when the report does not know the file
+ */
+function measureCoverage(coverage, file, addedLines) {
+  if (coverage.lines) {
+    const hits = coverage.lines.get(file);
+    if (!hits) return null;
+    const instrumented = addedLines.filter((line) => hits.has(line));
+    const covered = instrumented.filter((line) => hits.get(line) > 0).length;
+    return { covered, total: instrumented.length, scope: 'changed lines' };
+  }
+
+  const totals = coverage.files.get(file);
+  return totals ? { ...totals, scope: 'lines in file' } : null;
+}
+
+module.exports = {
+  isSourceFile,
+  isTestFile,
+  measureCoverage,
+  pairTests,
+  readCoverageReport,
+};
@@ -0,0 +1,285 @@
+/**
+ * Dependency Changes
+ *
+ * Compares dependency manifests between two revisions:
+ *
+ *   package.json        dependencies, devDependencies, peerDependencies, optionalDependencies
+ *   requirements*.txt   `name==1.2.3`, `name>=1.0` and other pinned or ranged requirements
+ *   go.mod              `require` lines and blocks, with `// indirect` marked
+ *   Cargo.toml          [dependencies], [dev-dependencies], [build-dependencies], target and workspace tables
+ *
+ * Version changes are classified as major, minor or patch by their first
+ * `x.y.z` number. Lockfiles that changed while no manifest next to them (or
+ * below them, for workspaces) changed its dependencies are reported too, since
+ * they update transitive dependencies without any visible manifest change.
+ */
+
+const path = require('path');
+
+// Lockfiles and the manifest whose change should accompany them
+const lockfiles = {
+  'package-lock.json': 'package.json',
+  'npm-shrinkwrap.json': 'package.json',
+  'yarn.lock': 'package.json',
+  'pnpm-lock.yaml': 'package.json',
+  'go.sum': 'go.mod',
+  'Cargo.lock': 'Cargo.toml',
+  'poetry.lock': 'pyproject.toml',
+  'Pipfile.lock': 'Pipfile',
+  'composer.lock': 'composer.json',
+  'Gemfile.lock': 'Gemfile',
+};
+
+// Bumps in the order they are listed, most disruptive first
+const BUMP_ORDER = ['major', 'minor', 'patch', 'other', 'downgrade'];
+
+/**
+ * Parse package.json dependencies
+ * @param {string} text - File contents
+ * @returns {{name: string, version: string, type: string}[]} Dependencies
+ */
+function parsePackageJson(text) {
+  const manifest = JSON.parse(text);
+  const fields = {
+    dependencies: 'prod',
+    devDependencies: 'dev',
+    peerDependencies: 'peer',
+    optionalDependencies: 'optional',
+  };
+
+  return Object.keys(fields).flatMap((field) =>
+    Object.entries(manifest[field] || {}).map(([name, version]) => ({
+      name,
+      version: String(version),
+      type: fields[field],
+    }))
+  );
+}
+
+/**
+ * Parse requirements.txt
+ * @param {string} text - File contents
+ * @returns {{name: string, version: string, type: string}[]} Requirements; options and includes are skipped
+ */
+function parseRequirements(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/\s+#.*$/, '').trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('-'))
+    .map((line) => line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*([^;]*)/))
+    .filter(Boolean)
+    .map(([, name, spec]) => ({
+      name: name.toLowerCase().replace(/[._]/g, '-'),
+      version: spec.replace(/\s+/g, '').replace(/^==/, '') || '*',
+      type: 'prod',
+    }));
+}
+
+/**
+ * Parse go.mod requirements
+ * @param {string} text - File contents
+ * @returns {{name: string, version: string, type: string}[]} Modules
+ */
+function parseGoMod(text) {
+  const modules = [];
+  let inBlock = false;
+
+  text.split('\n').forEach((raw) => {
+    const line = raw.trim();
+    if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      return;
+    }
+    if (inBlock && line === ')') {
+      inBlock = false;
+      return;
+    }
+
+    const single = line.match(/^require\s+(.+)$/);
+    const spec = inBlock ? line : single && single[1];
+    const match = spec && !spec.startsWith('//') && spec.match(/^(\S+)\s+(\S+)(.*)$/);
+    if (match) {
+      modules.push({ name: match[1], version: match[2], type: /\/\/\s*indirect/.test(match[3]) ? 'indirect' : 'prod' });
+    }
+  });
+
+  return modules;
+}
+
+/**
+ * Parse Cargo.toml dependency tables
+ * @param {string} text - File contents
+ * @returns {{name: string, version: string, type: string}[]} Crates
+ */
+function parseCargoToml(text) {
+  const crates = [];
+  const tableType = (table) => {
+    const match = table.match(/(?:^|\.)(dependencies|dev-dependencies|build-dependencies)$/);
+    if (!match) return null;
+    if (table.startsWith('workspace.')) return 'workspace';
+    return { dependencies: 'prod', 'dev-dependencies': 'dev', 'build-dependencies': 'build' }[match[1]];
+  };
+  const versionOf = (value) => {
+    const quoted = value.match(/^"([^"]*)"/);
+    if (quoted) return quoted[1];
+    const inline = value.match(/\bversion\s*=\s*"([^"]*)"/);
+    if (inline) return inline[1];
+    const source = value.match(/\b(path|git)\s*=\s*"([^"]*)"/);
+    return source ? `${source[1]}:${source[2]}` : '*';
+  };
+
+  let type = null;
+  let crate = null;
+  text.split('\n').forEach((raw) => {
+    const line = raw.replace(/\s+#.*$/, '').trim();
+    const table = line.match(/^\[([^\]]+)\]$/);
+    if (table) {
+      // `[dependencies.serde]` declares one crate as a table
+      const name = table[1].match(/^(.*)\.([^.]+)$/);
+      type = tableType(table[1]);
+      crate = !type && name && tableType(name[1]) ? { name: name[2], version: '*', type: tableType(name[1]) } : null;
+      if (crate) crates.push(crate);
+      return;
+    }
+
+    const entry = line.match(/^([A-Za-z0-9_-]+)\s*=\s*(.+)$/);
+    if (!entry) return;
+    if (crate && entry[1] === 'version') crate.version = versionOf(entry[2]);
+    else if (type) crates.push({ name: entry[1], version: versionOf(entry[2]), type });
+  });
+
+  return crates;
+}
+
+// Manifests that are diffed, by file name
+const manifestParsers = [
+  { ecosystem: 'npm', pattern: /^package\.json$/, parse: parsePackageJson },
+  { ecosystem: 'pip', pattern: /^requirements.*\.txt$/, parse: parseRequirements },
+  { ecosystem: 'go', pattern: /^go\.mod$/, parse: parseGoMod },
+  { ecosystem: 'cargo', pattern: /^Cargo\.toml$/, parse: parseCargoToml },
+];
+
+/**
+ * Check whether a file is a manifest this module can diff
+ * @param {string} file - Repository-relative path
+ * @returns {boolean} True for package.json, requirements*.txt, go.mod and Cargo.toml
+ */
+function isManifest(file) {
+  return manifestParsers.some((parser) => parser.pattern.test(path.posix.basename(file)));
+}
+
+/**
+ * Extract the first `x.y.z` of a version or range
+ * @param {string} version - Version, e.g. `^1.2.3`, `v0.9.1` or `>=4.0`
+ * @returns {number[]|null} Major, minor and patch
+ */
+function parseVersion(version) {
+  const match = version.match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [1, 2, 3].map((index) => Number(match[index] || 0)) : null;
+}
+
+/**
+ * Classify a version change
+ * @param {string} from - Old version or range
+ * @param {string} to - New version or range
+ * @returns {string} `major`, `minor`, `patch`, `downgrade`, or `other` when no number changed
+ */
+function bumpType(from, to) {
+  const before = parseVersion(from);
+  const after = parseVersion(to);
+  if (!before || !after) return 'other';
+
+  const index = before.findIndex((part, i) => part !== after[i]);
+  if (index === -1) return 'other';
+  if (after[index] < before[index]) return 'downgrade';
+  return ['major', 'minor', 'patch'][index];
+}
+
+/**
+ * Diff the dependencies of one manifest
+ * @param {string} file - Repository-relative path of the manifest
+ * @param {string} before - Contents at the base, empty if the file was added
+ * @param {string} after - Contents at the head, empty if the file was deleted
+ * @returns {{
+ *   file: string,
+ *   ecosystem: string,
+ *   added: {name: string, version: string, type: string}[],
+ *   removed: {name: string, version: string, type: string}[],
+ *   changed: {name: string, type: string, from: string, to: string, bump: string}[],
+ *   error: string|null
+ * }|null} Changes, or null if the file is not a supported manifest; `error` is set when a side cannot be parsed
+ */
+function diffManifest(file, before, after) {
+  const parser = manifestParsers.find((p) => p.pattern.test(path.posix.basename(file)));
+  if (!parser) return null;
+
+  const report = { file, ecosystem: parser.ecosystem, added: [], removed: [], changed: [], error: null };
+  let oldDeps;
+  let newDeps;
+  try {
+    oldDeps = before ? parser.parse(before) : [];
+    newDeps = after ? parser.parse(after) : [];
+  } catch (error) {
+    report.error = error.message;
+    return report;
+  }
+
+  // The same package may appear in several sections, e.g. as a peer and a dev dependency
+  const key = (dep) => `${dep.type}\u0000${dep.name}`;
+  const oldByKey = new Map(oldDeps.map((dep) => [key(dep), dep]));
+  const newKeys = new Set(newDeps.map(key));
+
+  newDeps.forEach((dep) => {
+    const old = oldByKey.get(key(dep));
+    if (!old) report.added.push(dep);
+    else if (old.version !== dep.version) {
+      report.changed.push({
+        name: dep.name,
+        type: dep.type,
+        from: old.version,
+        to: dep.version,
+        bump: bumpType(old.version, dep.version),
+      });
+    }
+  });
+  report.removed = oldDeps.filter((dep) => !newKeys.has(key(dep)));
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  report.added.sort(byName);
+  report.removed.sort(byName);
+  report.changed.sort((a, b) => BUMP_ORDER.indexOf(a.bump) - BUMP_ORDER.indexOf(b.bump) || byName(a, b));
+
+  return report;
+}
+
+/**
+ * Find lockfiles that changed without a dependency change in their manifest
+ * @param {string[]} changedFiles - Every changed path, including excluded ones
+ * @param {string[]} manifestChanges - Paths of manifests whose dependencies changed; other manifests
+ *   (pyproject.toml, Gemfile, ...) count as changed whenever they appear in `changedFiles`
+ * @returns {{file: string, manifest: string}[]} Lockfiles, and the name of the manifest whose dependencies did not change
+ */
+function findLockfileOnlyChanges(changedFiles, manifestChanges) {
+  const changedManifests = [
+    ...manifestChanges,
+    ...changedFiles.filter((file) => !isManifest(file) && Object.values(lockfiles).includes(path.posix.basename(file))),
+  ];
+
+  return changedFiles
+    .filter((file) => lockfiles[path.posix.basename(file)])
+    .map((file) => ({ file, manifest: lockfiles[path.posix.basename(file)] }))
+    .filter(({ file, manifest }) => {
+      // A workspace lockfile covers the manifests below it
+      const dir = path.posix.dirname(file);
+      return !changedManifests.some(
+        (changed) => path.posix.basename(changed) === manifest && (dir === '.' || changed.startsWith(`${dir}/`))
+      );
+    });
+}
+
+module.exports = {
+  bumpType,
+  diffManifest,
+  findLockfileOnlyChanges,
+  isManifest,
+};
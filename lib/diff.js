@@ -0,0 +1,257 @@
+/**
+ * Code Context for AI Prompts
+ *
+ * Turns `git diff` output into Markdown an assistant can read without running
+ * git itself. Files are taken in the order given (most important first) and
+ * fitted into a budget:
+ *
+ *   full      Every hunk, with the symbols it touches
+ *   outline   Hunk headers and changed signatures, for files too large to include
+ *   headers   Hunk headers and the symbols they touch, when outlines are too large too
+ *   listed    Named only, once nothing else fits
+ *
+ * Binary and generated files (lockfiles, minified bundles, `@generated` code)
+ * are skipped up front.
+ */
+
+// Rough characters-per-token ratio of code for common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Generated files that are never worth a reviewer's attention
+const GENERATED_PATH_PATTERN = new RegExp(
+  [
+    /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|Gemfile\.lock|composer\.lock|go\.sum)$/,
+    /\.min\.(js|css)$/,
+    /\.map$/,
+    /(^|\/)__generated__\//,
+    /\.generated\.\w+$/,
+    /\.pb\.(go|cc|h)$/,
+    /_pb2\.py$/,
+  ]
+    .map((pattern) => pattern.source)
+    .join('|')
+);
+const GENERATED_MARKER_PATTERN = /@generated|DO NOT EDIT|auto-generated|autogenerated/i;
+
+// Declarations across common languages; the first capture group is the symbol name
+const SYMBOL_PATTERNS = [
+  /\bfunction\s*\*?\s*([A-Za-z_$][\w$]*)/,
+  /\b(?:class|interface|enum|type|struct|trait|protocol)\s+([A-Za-z_$][\w$]*)/,
+  /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /\bdef\s+([A-Za-z_]\w*)/,
+  /\bfunc\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,
+  /\bfn\s+([A-Za-z_]\w*)/,
+  /\bimpl(?:<[^>]*>)?\s+(?:[\w:]+\s+for\s+)?([A-Za-z_]\w*)/,
+  /^\s*(?:(?:public|private|protected|static|async|override|readonly)\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/,
+];
+const NOT_SYMBOLS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'constructor', 'else']);
+
+// Symbols named per file or hunk before the rest are only counted
+const MAX_LISTED_SYMBOLS = 12;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Any text
+ * @returns {number} Approximate tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split `git diff` output into one chunk per file
+ * @param {string} diff - Unified diff
+ * @returns {{path: string, text: string}[]} Chunks, keyed by new path (deleted files keep their path)
+ */
+function splitDiff(diff) {
+  const chunks = [];
+
+  diff.split('\n').forEach((line) => {
+    if (line.startsWith('diff --git ')) {
+      const header = line.match(/^diff --git a\/(.*) b\/(.*)$/);
+      chunks.push({ path: header ? header[2] : '', text: line });
+      return;
+    }
+    if (chunks.length === 0) return;
+
+    const chunk = chunks[chunks.length - 1];
+    chunk.text += `\n${line}`;
+    if (line.startsWith('@@')) chunk.inHunk = true;
+    else if (!chunk.inHunk && line.startsWith('+++ b/')) chunk.path = line.slice(6);
+  });
+
+  return chunks.map(({ path, text }) => ({ path, text }));
+}
+
+/**
+ * Join symbol names, counting the ones past the limit
+ * @param {string[]} symbols - Symbol names
+ * @param {function(string): string} [format] - Formats each name
+ * @returns {string} Comma-separated list
+ */
+function listSymbols(symbols, format = (symbol) => symbol) {
+  const shown = symbols.slice(0, MAX_LISTED_SYMBOLS).map(format);
+  if (symbols.length > MAX_LISTED_SYMBOLS) shown.push(`${symbols.length - MAX_LISTED_SYMBOLS} more`);
+  return shown.join(', ');
+}
+
+/**
+ * Find the symbol a line declares
+ * @param {string} line - Source line, without the diff marker
+ * @returns {string|null} Symbol name
+ */
+function declaredSymbol(line) {
+  for (const pattern of SYMBOL_PATTERNS) {
+    const match = line.match(pattern);
+    if (match && !NOT_SYMBOLS.has(match[1])) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Parse a per-file diff into hunks, noting the symbols each one touches:
+ * the enclosing function git reports in the hunk header, and anything
+ * declared on a changed line
+ * @param {string} text - Diff of one file, from splitDiff()
+ * @returns {{binary: boolean, hunks: {header: string, lines: string[], symbols: string[], signatures: string[]}[]}} Parsed diff
+ */
+function parseFileDiff(text) {
+  const hunks = [];
+  let binary = false;
+
+  text.split('\n').forEach((line) => {
+    if (line.startsWith('@@')) {
+      const scope = line.replace(/^@@[^@]*@@\s*/, '');
+      const symbol = scope ? declaredSymbol(scope) : null;
+      hunks.push({ header: line, lines: [], symbols: symbol ? [symbol] : [], signatures: [] });
+    } else if (hunks.length > 0) {
+      const hunk = hunks[hunks.length - 1];
+      hunk.lines.push(line);
+      if (line.startsWith('+') || line.startsWith('-')) {
+        const symbol = declaredSymbol(line.slice(1));
+        if (symbol) {
+          if (!hunk.symbols.includes(symbol)) hunk.symbols.push(symbol);
+          hunk.signatures.push(line);
+        }
+      }
+    } else if (/^Binary files .* differ$/.test(line) || line === 'GIT binary patch') {
+      binary = true;
+    }
+  });
+
+  return { binary, hunks };
+}
+
+/**
+ * Check whether a file is generated, by path or by a marker in its added lines
+ * @param {string} file - Repository-relative path
+ * @param {{lines: string[]}[]} hunks - Parsed hunks
+ * @returns {boolean} True if generated
+ */
+function isGeneratedFile(file, hunks) {
+  if (GENERATED_PATH_PATTERN.test(file)) return true;
+  const head = hunks.length > 0 ? hunks[0].lines.slice(0, 20) : [];
+  return head.some((line) => line.startsWith('+') && GENERATED_MARKER_PATTERN.test(line));
+}
+
+/**
+ * Render the hunks of a file at a level of detail
+ * @param {object[]} hunks - Parsed hunks
+ * @param {string} mode - `full`, `outline` or `headers`
+ * @returns {string} Diff text
+ */
+function renderHunks(hunks, mode) {
+  return hunks
+    .map((hunk) => {
+      if (mode === 'full') return [hunk.header, ...hunk.lines.filter((line) => line !== '')].join('\n');
+      const touches = hunk.symbols.length > 0 ? `  → ${listSymbols(hunk.symbols)}` : '';
+      return [`${hunk.header}${touches}`, ...(mode === 'outline' ? hunk.signatures : [])].join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Build budgeted code context for a set of files
+ * @param {{path: string, label: string, added: number, removed: number, diff: string}[]} files - Files most important first; `diff` from splitDiff()
+ * @param {{budget: number, unit?: string}} options - Budget in `tokens` (default) or `chars`
+ * @returns {{files: object[], skipped: {path: string, reason: string}[], used: number, budget: number, unit: string}} Context
+ */
+function buildCodeContext(files, { budget, unit = 'tokens' }) {
+  const cost = unit === 'chars' ? (text) => text.length : estimateTokens;
+  const skipped = [];
+  const candidates = [];
+
+  files.forEach((file) => {
+    const { binary, hunks } = parseFileDiff(file.diff);
+    if (binary) skipped.push({ path: file.path, reason: 'binary' });
+    else if (hunks.length === 0) skipped.push({ path: file.path, reason: 'no content changes' });
+    else if (isGeneratedFile(file.path, hunks)) skipped.push({ path: file.path, reason: 'generated' });
+    else {
+      const symbols = hunks.flatMap((hunk) => hunk.symbols).filter((s, i, all) => all.indexOf(s) === i);
+      const texts = {
+        full: renderHunks(hunks, 'full'),
+        outline: renderHunks(hunks, 'outline'),
+        headers: renderHunks(hunks, 'headers'),
+        listed: '',
+      };
+      candidates.push({
+        ...file,
+        symbols,
+        texts,
+        costs: { full: cost(texts.full), outline: cost(texts.outline), headers: cost(texts.headers) },
+      });
+    }
+  });
+
+  // First give as many files as fit their hunk headers, most important first,
+  // then spend what is left upgrading them in the same order
+  let remaining = budget;
+  candidates.forEach((file) => {
+    file.mode = file.costs.headers <= remaining ? 'headers' : 'listed';
+    if (file.mode === 'headers') remaining -= file.costs.headers;
+  });
+  candidates.forEach((file) => {
+    if (file.mode !== 'headers') return;
+    const upgrade = ['full', 'outline'].find((mode) => file.costs[mode] - file.costs.headers <= remaining);
+    if (upgrade) {
+      remaining -= file.costs[upgrade] - file.costs.headers;
+      file.mode = upgrade;
+    }
+  });
+
+  const included = candidates.map(({ diff, texts, costs, ...file }) => ({ ...file, text: texts[file.mode] }));
+
+  return { files: included, skipped, used: budget - remaining, budget, unit };
+}
+
+/**
+ * Render code context as Markdown
+ * @param {object} context - Context from buildCodeContext()
+ * @returns {string} Markdown
+ */
+function renderCodeContext(context) {
+  const sections = context.files
+    .filter((file) => file.mode !== 'listed')
+    .map((file) => {
+      const outline = { outline: ' - outline only', headers: ' - hunk headers only' }[file.mode] || '';
+      const title = `#### \`${file.path}\` (${file.label}, +${file.added} / -${file.removed})${outline}`;
+      const touches = file.symbols.length > 0 ? `Touches: ${listSymbols(file.symbols, (s) => `\`${s}\``)}\n\n` : '';
+      return `${title}\n\n${touches}\`\`\`\`diff\n${file.text}\n\`\`\`\``;
+    });
+
+  const listed = context.files.filter((file) => file.mode === 'listed').map((file) => `\`${file.path}\``);
+  if (listed.length > 0) sections.push(`Not shown (over budget): ${listed.join(', ')}`);
+  if (context.skipped.length > 0) {
+    sections.push(`Skipped: ${context.skipped.map((file) => `\`${file.path}\` (${file.reason})`).join(', ')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  buildCodeContext,
+  estimateTokens,
+  parseFileDiff,
+  renderCodeContext,
+  splitDiff,
+};
@@ -0,0 +1,86 @@
+/**
+ * Exclude Patterns
+ *
+ * Compiles exclude patterns from config files and the CLI. A pattern can be:
+ *
+ *   /^dist\//           A RegExp object (built-in defaults)
+ *   "^\\.vscode/"       A regex string: starts with ^ or ends with $
+ *   "re:snapshots?/"    A regex string after an explicit `re:` prefix
+ *   "/snapshots?/i"     A regex literal; it needs a flag, since "/dist/" is a glob
+ *   "*.snap"            Anything else is a gitignore-style glob (see lib/glob.js)
+ *   "!dist/keep.js"     A leading ! re-includes files excluded by an earlier pattern
+ *
+ * Like .gitignore, patterns are checked in order and the last match wins.
+ */
+
+const { globToRegExp } = require('./glob');
+
+/**
+ * Compile a single pattern
+ * @param {string|RegExp} pattern - Pattern from config or CLI
+ * @returns {{source: string, negate: boolean, regex: RegExp}} Compiled pattern
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return { source: String(pattern), negate: false, regex: pattern };
+  }
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error(`Invalid exclude pattern ${JSON.stringify(pattern)}`);
+  }
+
+  const negate = pattern.startsWith('!');
+  const body = negate ? pattern.slice(1) : pattern;
+  // Without a flag, `/dist/` is the gitignore pattern for the root dist folder, not the regex `dist`
+  const literal = body.match(/^\/(.+)\/([gimsuy]+)$/);
+  let regex;
+
+  try {
+    if (body.startsWith('re:')) regex = new RegExp(body.slice(3));
+    else if (literal) regex = new RegExp(literal[1], literal[2].replace('g', ''));
+    else if (body.startsWith('^') || body.endsWith('$')) regex = new RegExp(body);
+    else regex = globToRegExp(body);
+  } catch (error) {
+    throw new Error(`Invalid exclude pattern "${pattern}": ${error.message}`);
+  }
+
+  return { source: pattern, negate, regex };
+}
+
+/**
+ * Compile a list of patterns
+ * @param {(string|RegExp)[]} patterns - Patterns, lowest precedence first
+ * @returns {{source: string, negate: boolean, regex: RegExp}[]} Compiled patterns
+ */
+function compileExcludes(patterns) {
+  return patterns.map(compilePattern);
+}
+
+/**
+ * Find the pattern that decides whether a file is excluded
+ * @param {string} file - Repository-relative path
+ * @param {object[]} compiled - Patterns from compileExcludes()
+ * @returns {{source: string, negate: boolean}|null} Last matching pattern, or null if none match
+ */
+function matchExclude(file, compiled) {
+  for (let i = compiled.length - 1; i >= 0; i -= 1) {
+    if (compiled[i].regex.test(file)) return compiled[i];
+  }
+  return null;
+}
+
+/**
+ * Check whether a file is excluded
+ * @param {string} file - Repository-relative path
+ * @param {object[]} compiled - Patterns from compileExcludes()
+ * @returns {boolean} True if the file is excluded
+ */
+function isExcluded(file, compiled) {
+  const match = matchExclude(file, compiled);
+  return Boolean(match && !match.negate);
+}
+
+module.exports = {
+  compileExcludes,
+  isExcluded,
+  matchExclude,
+};
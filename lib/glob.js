@@ -0,0 +1,126 @@
+/**
+ * Glob Matching
+ *
+ * Compiles gitignore-style globs to regular expressions:
+ *
+ *   *.md            Any `.md` file at any depth (no slash = match the basename)
+ *   /README.md      Only the root README (leading slash anchors to the root)
+ *   docs/           Everything inside any `docs` directory
+ *   src/**\/*.ts     `**` matches zero or more directories
+ *   *.{js,ts}       Braces expand to alternatives
+ *   file?.[jt]s     `?` matches one character, `[...]` a character class
+ */
+
+const cache = new Map();
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Single character
+ * @returns {string} Escaped character
+ */
+function escapeChar(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * Translate the body of a glob (no anchoring) to a regex source
+ * @param {string} glob - Glob body
+ * @returns {string} Regex source
+ */
+function translate(glob) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      if (atStart && atEnd) {
+        if (i + 2 === glob.length) {
+          source += '.*';
+        } else {
+          source += '(?:.*/)?';
+          i += 1; // skip the slash after **
+        }
+        i += 1;
+        continue;
+      }
+      source += '[^/]*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let set = glob.slice(i + 1, close);
+        if (set.startsWith('!')) set = `^${set.slice(1)}`;
+        source += `[${set.replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      i += 1;
+      source += escapeChar(glob[i]);
+    } else {
+      source += escapeChar(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a gitignore-style glob to a regular expression matched against
+ * repository-relative paths with forward slashes
+ * @param {string} glob - Glob pattern
+ * @param {{exact?: boolean}} [options] - `exact` matches the path itself only, not files inside it
+ * @returns {RegExp} Compiled pattern
+ */
+function globToRegExp(glob, { exact = false } = {}) {
+  const cacheKey = `${exact ? 'exact:' : ''}${glob}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  let body = glob.trim();
+  const directoryOnly = body.endsWith('/');
+  if (directoryOnly) body = body.slice(0, -1);
+
+  // Patterns without a slash match at any depth; a leading slash anchors to the root
+  const anchored = body.includes('/');
+  if (body.startsWith('/')) body = body.slice(1);
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  let suffix = directoryOnly ? '/.*$' : '(?:/.*)?$';
+  if (exact) suffix = '$';
+  const regex = new RegExp(`${prefix}${translate(body)}${suffix}`);
+
+  cache.set(cacheKey, regex);
+  return regex;
+}
+
+/**
+ * Test a path against a glob
+ * @param {string} file - Repository-relative path
+ * @param {string} glob - Glob pattern
+ * @returns {boolean} True if the path matches
+ */
+function matchesGlob(file, glob) {
+  return globToRegExp(glob).test(file);
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+};
@@ -0,0 +1,182 @@
+/**
+ * Commit Hygiene
+ *
+ * Checks the commits of a branch for history that should be cleaned up
+ * before it is merged:
+ *
+ *   fixup              `fixup!`, `squash!` and `amend!` commits left over from `git commit --fixup`
+ *   wip                Work-in-progress commits (`WIP`, `tmp`, `temp`)
+ *   merge-from-base    Merges of the base branch into the branch
+ *   long-subject       Subjects longer than `maxSubjectLength`
+ *   empty-body         Large commits with no message body
+ *   mixed-categories   Commits touching several unrelated file categories
+ *
+ * and suggests a `git rebase -i` plan that fixes them: fixups are moved below
+ * the commit they amend, WIP commits are folded into the commit before them,
+ * merges from the base are dropped, and the rest are reworded or split.
+ */
+
+const FIXUP_PATTERN = /^(fixup|squash|amend)!\s*/i;
+const WIP_PATTERN = /^(?:\[?wip\]?|work in progress|tmp|temp)\b/i;
+const FOOTER_PATTERN = /^(?:[\w-]+|BREAKING CHANGE)(?:: | #)/;
+
+/**
+ * Find the commit a `fixup!` commit amends
+ * @param {object} commit - Fixup commit
+ * @param {object[]} older - Commits before it, oldest first
+ * @returns {object|null} Target commit
+ */
+function fixupTarget(commit, older) {
+  let subject = commit.subject;
+  while (FIXUP_PATTERN.test(subject)) subject = subject.replace(FIXUP_PATTERN, '');
+  const matches = older.filter(
+    (candidate) =>
+      candidate.subject === subject || (/^[0-9a-f]{7,40}$/.test(subject) && candidate.hash.startsWith(subject))
+  );
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Check a branch's commits
+ * @param {object[]} commits - Commits, newest first, each with `hash`, `subject`, `body`, `parents`,
+ *   `fromBase` (a merge of the base branch), `added`, `removed` and `categories` (category keys)
+ * @param {object} [options] - Thresholds
+ * @param {string} [options.base] - Base branch, named in messages
+ * @param {number} [options.maxSubjectLength] - Longest acceptable subject
+ * @param {number} [options.largeCommitLines] - Changed lines from which a commit needs a body
+ * @param {number} [options.mixedCategories] - Categories from which a commit is mixed
+ * @param {string[]} [options.ignoreCategories] - Categories that go with any change, such as tests
+ * @param {function(string): string} [options.categoryLabel] - Label of a category key
+ * @returns {{
+ *   problems: {hash: string, subject: string, rule: string, message: string}[],
+ *   plan: {action: string, hash: string, subject: string, into: string|null}[]
+ * }} Problems, newest first, and a rebase plan, oldest first; the plan is empty when there is nothing to fix
+ */
+function analyzeHygiene(
+  commits,
+  {
+    base = 'the base branch',
+    maxSubjectLength = 72,
+    largeCommitLines = 100,
+    mixedCategories = 4,
+    ignoreCategories = [],
+    categoryLabel = (key) => key,
+  } = {}
+) {
+  const problems = [];
+  const plan = [];
+  const short = (hash) => hash.slice(0, 7);
+  let found = [];
+  const report = (commit, rule, message) => found.push({ hash: commit.hash, subject: commit.subject, rule, message });
+
+  [...commits].reverse().forEach((commit, index, ordered) => {
+    // Newest commit first, each commit's problems in the order they are checked
+    problems.unshift(...found);
+    found = [];
+    const entry = { action: 'pick', hash: commit.hash, subject: commit.subject, into: null };
+    const previous = plan.filter((step) => step.action !== 'drop');
+
+    if (commit.parents.length > 1) {
+      if (commit.fromBase) {
+        report(commit, 'merge-from-base', `Merges ${base} into the branch; rebase onto ${base} instead`);
+        plan.push({ ...entry, action: 'drop' });
+      } else {
+        plan.push(entry);
+      }
+      return;
+    }
+
+    const fixup = commit.subject.match(FIXUP_PATTERN);
+    if (fixup) {
+      const target = fixupTarget(commit, ordered.slice(0, index));
+      const kind = fixup[1].toLowerCase();
+      if (!target) {
+        report(commit, 'fixup', `\`${kind}!\` commit whose target is not on this branch; reword it`);
+        plan.push({ ...entry, action: 'reword' });
+        return;
+      }
+      report(commit, 'fixup', `\`${kind}!\` commit left over; squash it into \`${short(target.hash)}\``);
+
+      // Below the target and the fixups already attached to it
+      let at = plan.findIndex((step) => step.hash === target.hash) + 1;
+      while (at > 0 && at < plan.length && plan[at].into === target.hash) at += 1;
+      plan.splice(at, 0, { ...entry, action: kind === 'squash' ? 'squash' : 'fixup', into: target.hash });
+      return;
+    }
+
+    if (WIP_PATTERN.test(commit.subject)) {
+      if (previous.length > 0) {
+        const last = previous[previous.length - 1];
+        const into = last.into || last.hash;
+        report(commit, 'wip', `Work-in-progress commit; fold it into \`${short(into)}\``);
+        plan.push({ ...entry, action: 'fixup', into });
+      } else {
+        report(commit, 'wip', 'Work-in-progress commit; reword it to describe the change');
+        plan.push({ ...entry, action: 'reword' });
+      }
+      return;
+    }
+
+    if (commit.subject.length > maxSubjectLength) {
+      report(commit, 'long-subject', `Subject is ${commit.subject.length} characters (limit ${maxSubjectLength})`);
+      entry.action = 'reword';
+    }
+
+    const lines = commit.added + commit.removed;
+    const body = commit.body.split('\n').filter((line) => line.trim() !== '' && !FOOTER_PATTERN.test(line));
+    if (lines >= largeCommitLines && body.length === 0) {
+      report(commit, 'empty-body', `${lines} lines changed with no message body explaining why`);
+      entry.action = 'reword';
+    }
+
+    const categories = commit.categories.filter((key) => !ignoreCategories.includes(key));
+    if (mixedCategories > 0 && categories.length >= mixedCategories) {
+      const labels = categories.map(categoryLabel).join(', ');
+      report(commit, 'mixed-categories', `Touches ${categories.length} unrelated categories (${labels}); split it`);
+      entry.action = 'edit';
+    }
+
+    plan.push(entry);
+  });
+
+  problems.unshift(...found);
+  return {
+    problems,
+    plan: plan.some((step) => step.action !== 'pick') ? plan : [],
+  };
+}
+
+/**
+ * Render a hygiene report as a problem table and a rebase todo list
+ * @param {object} hygiene - Result of analyzeHygiene()
+ * @param {string} base - Ref to rebase onto
+ * @returns {string} Markdown, or an empty string when there are no problems
+ */
+function formatHygiene({ problems, plan }, base) {
+  if (problems.length === 0) return '';
+
+  const cell = (text) => text.replace(/\|/g, '\\|');
+  const rows = problems.map(
+    (problem) => `| \`${problem.hash.slice(0, 7)}\` | ${cell(problem.subject)} | ${cell(problem.message)} |`
+  );
+  const lines = ['| Commit | Subject | Problem |', '|--------|---------|---------|', ...rows];
+
+  if (plan.length > 0) {
+    const width = Math.max(...plan.map((step) => step.action.length));
+    lines.push(
+      '',
+      `**Suggested cleanup** (\`git rebase -i ${base}\`):`,
+      '',
+      '```text',
+      ...plan.map((step) => `${step.action.padEnd(width)} ${step.hash.slice(0, 7)} ${step.subject}`),
+      '```'
+    );
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  analyzeHygiene,
+  formatHygiene,
+};
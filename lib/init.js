@@ -0,0 +1,153 @@
+/**
+ * Config Bootstrapping
+ *
+ * Inspects a repository and proposes a `.prsummaryrc.json` for `pr-summary init`:
+ * categories for the folders the project actually has, extra excludes for
+ * lockfiles and build output, and any existing pull request template.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesGlob } = require('./glob');
+
+// Folders and files that suggest a category beyond the built-in ones
+const frameworkCategories = [
+  {
+    name: 'Next.js / Nuxt routes',
+    detect: ['pages/', 'app/**/page.{js,jsx,ts,tsx}', 'next.config.{js,mjs,ts}', 'nuxt.config.{js,ts}'],
+    category: {
+      key: 'pages',
+      label: 'Pages & Routes',
+      match: ['pages/', 'app/**/{page,layout,route,loading,error}.{js,jsx,ts,tsx}'],
+      order: 5,
+      suggestions: ['🧭 Check navigation, loading and error states of changed routes'],
+    },
+  },
+  {
+    name: 'API handlers',
+    detect: ['api/', 'routes/', 'controllers/'],
+    category: {
+      key: 'api',
+      label: 'API',
+      match: ['api/', 'routes/', 'controllers/'],
+      order: 25,
+      suggestions: ['📜 Document request/response changes for API consumers'],
+    },
+  },
+  {
+    name: 'Storybook',
+    detect: ['.storybook/', '*.stories.{js,jsx,ts,tsx,mdx}'],
+    category: {
+      key: 'stories',
+      label: 'Stories',
+      match: ['*.stories.{js,jsx,ts,tsx,mdx}', '.storybook/'],
+      order: 55,
+    },
+  },
+  {
+    name: 'End-to-end tests',
+    detect: ['e2e/', 'cypress/', 'playwright/', 'playwright.config.{js,ts}', 'cypress.config.{js,ts}'],
+    category: {
+      key: 'e2e',
+      label: 'End-to-End Tests',
+      match: ['e2e/', 'cypress/', 'playwright/'],
+      order: 58,
+    },
+  },
+  {
+    name: 'Database migrations',
+    detect: ['migrations/', 'db/migrate/', 'prisma/schema.prisma'],
+    category: {
+      key: 'migrations',
+      label: 'Database Migrations',
+      match: ['migrations/', 'db/migrate/', 'prisma/'],
+      order: 75,
+    },
+  },
+  {
+    name: 'CI/CD pipelines',
+    detect: ['.github/workflows/', '/.gitlab-ci.yml', '.circleci/', '/Jenkinsfile', '/azure-pipelines.yml'],
+    category: {
+      key: 'ci',
+      label: 'CI/CD',
+      match: ['.github/workflows/', '/.gitlab-ci.yml', '.circleci/', '/Jenkinsfile', '/azure-pipelines.yml'],
+      order: 85,
+      checklist: ['Pipeline changes verified on a branch build'],
+    },
+  },
+  {
+    name: 'Infrastructure',
+    detect: ['Dockerfile', 'docker-compose*.{yml,yaml}', '*.tf', 'k8s/', 'helm/'],
+    category: {
+      key: 'infra',
+      label: 'Infrastructure',
+      match: ['Dockerfile', 'docker-compose*.{yml,yaml}', '*.tf', 'k8s/', 'helm/'],
+      order: 88,
+    },
+  },
+];
+
+// Lockfiles the built-in excludes do not cover
+const extraLockfiles = ['pnpm-lock.yaml', 'Cargo.lock', 'poetry.lock', 'Gemfile.lock', 'composer.lock', 'go.sum'];
+
+// Locations GitHub, GitLab and Bitbucket read pull request templates from
+const prTemplateLocations = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  '.github/PULL_REQUEST_TEMPLATE/pull_request_template.md',
+  'docs/pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  '.gitlab/merge_request_templates/Default.md',
+];
+
+/**
+ * Find an existing pull request template
+ * @param {string} root - Repository root
+ * @returns {string|null} Repository-relative path
+ */
+function findPullRequestTemplate(root) {
+  return prTemplateLocations.find((file) => fs.existsSync(path.join(root, file))) || null;
+}
+
+/**
+ * Inspect a repository and propose config values
+ * @param {object} repo - What is known about the repository
+ * @param {string} repo.root - Repository root
+ * @param {string[]} repo.trackedFiles - Repository-relative paths of tracked files
+ * @param {object[]} repo.categories - Built-in category definitions
+ * @param {{name: string, dir: string}[]} repo.packages - Workspace packages from detectWorkspaces()
+ * @returns {{frameworks: string[], categories: object[], excludes: string[], prTemplate: string|null}} Findings and proposals
+ */
+function inspectRepository({ root, trackedFiles, categories, packages }) {
+  const hasFile = (globs) => trackedFiles.some((file) => globs.some((glob) => matchesGlob(file, glob)));
+
+  const detected = frameworkCategories.filter((framework) => hasFile(framework.detect));
+
+  // Folder-based built-in categories are only kept when the project has that folder
+  const isFolderCategory = (category) => (category.match || []).every((glob) => glob.includes('/'));
+  const proposedCategories = [
+    ...categories.filter((category) => !category.match || !isFolderCategory(category) || hasFile(category.match)),
+    ...detected.map((framework) => framework.category),
+  ].sort((a, b) => a.order - b.order);
+
+  const excludes = extraLockfiles.filter((file) => trackedFiles.includes(file));
+  if (packages.length > 0) {
+    // The built-in excludes only cover build output at the repository root
+    excludes.push('dist/', 'build/', 'coverage/', '.turbo/');
+  }
+  if (hasFile(['*.min.{js,css}'])) excludes.push('*.min.{js,css}');
+  if (hasFile(['__generated__/'])) excludes.push('__generated__/');
+
+  return {
+    frameworks: detected.map((framework) => framework.name),
+    categories: proposedCategories,
+    excludes,
+    prTemplate: findPullRequestTemplate(root),
+  };
+}
+
+module.exports = {
+  findPullRequestTemplate,
+  inspectRepository,
+};
@@ -0,0 +1,151 @@
+/**
+ * Issue Tracker Links
+ *
+ * Finds ticket IDs with one regular expression per tracker, in three places:
+ *
+ *   Branch name      feature/PROJ-123-dark-mode       related to PROJ-123 (configurable)
+ *   Commit subjects  fix: expire sessions (#45)       related to #45
+ *                    Fixes #45: expire sessions       closes #45
+ *   Commit trailers  Refs: #45 / Closes: PROJ-9       related / closes, by token
+ *
+ * A tracker's `key` is the `key` named group of its pattern, else the first
+ * group, else the whole match. `format` turns the key into the ID shown, and
+ * `url` into a link; both may use `{key}`, and `url` may use `{repo}`, the
+ * `owner/name` of a cross-repository reference or of the `origin` remote.
+ */
+
+const { CLOSING_TOKENS, RELATED_TOKENS } = require('./conventional-commits');
+
+// A closing keyword right before a reference in a subject, as in "Fixes #45"
+const CLOSING_PREFIX = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s*$/i;
+
+// Trailer tokens that name a ticket without saying whether it is done
+const TICKET_TOKENS = ['issue', 'issues', 'ticket', 'tickets', 'jira', 'linear'];
+
+/**
+ * Compile tracker patterns
+ * @param {{name: string, pattern: string, branchPattern?: string, format?: string, url?: string}[]} trackers - Trackers
+ * @returns {object[]} Trackers with `regex` and `branchRegex`
+ * @throws {SyntaxError} When a pattern is not a valid regular expression
+ */
+function compileTrackers(trackers) {
+  return trackers.map((tracker) => {
+    try {
+      return {
+        ...tracker,
+        regex: new RegExp(tracker.pattern, 'g'),
+        branchRegex: new RegExp(tracker.branchPattern || tracker.pattern, 'g'),
+      };
+    } catch (error) {
+      throw new SyntaxError(`Invalid pattern in issue tracker "${tracker.name}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Find every match of a global regular expression
+ * @param {string} text - Text to search
+ * @param {RegExp} regex - Pattern with the `g` flag
+ * @returns {RegExpExecArray[]} Matches
+ */
+function findAll(text, regex) {
+  const matches = [];
+  let match;
+  regex.lastIndex = 0;
+  while ((match = regex.exec(text)) !== null) {
+    matches.push(match);
+    if (match[0] === '') regex.lastIndex += 1;
+  }
+  return matches;
+}
+
+/**
+ * Turn a match into an issue reference
+ * @param {object} tracker - Compiled tracker
+ * @param {RegExpExecArray} match - Match of one of its patterns
+ * @param {string} action - `closes` or `related`
+ * @param {string} source - `branch`, `subject` or `trailer`
+ * @param {string|null} repo - `owner/name` of the origin remote
+ * @returns {{id: string, key: string, tracker: string, action: string, source: string, url: string|null}} Reference
+ */
+function toIssue(tracker, match, action, source, repo) {
+  const groups = match.groups || {};
+  const key = groups.key || match[1] || match[0];
+  const linkRepo = groups.repo || repo;
+  const fill = (template) => template.replace(/\{key\}/g, key).replace(/\{repo\}/g, linkRepo);
+
+  return {
+    id: groups.repo ? match[0] : fill(tracker.format || '{key}'),
+    key,
+    tracker: tracker.name,
+    action,
+    source,
+    url: tracker.url && (linkRepo || !tracker.url.includes('{repo}')) ? fill(tracker.url) : null,
+  };
+}
+
+/**
+ * Find the tickets a branch and its commits refer to
+ * @param {object} options - Where to look
+ * @param {string} options.branch - Branch name
+ * @param {{subject: string, footers: {token: string, value: string}[]}[]} options.commits - Parsed commits
+ * @param {object[]} options.trackers - Trackers from compileTrackers()
+ * @param {string} [options.branchAction] - Action of tickets named in the branch: `closes` or `related`
+ * @param {string|null} [options.repo] - `owner/name` of the origin remote, for `{repo}` in URLs
+ * @returns {{id: string, key: string, tracker: string, action: string, source: string, url: string|null}[]} One
+ *   reference per ID, closing ones first; an ID that is both closed and related is closed
+ */
+function findIssues({ branch, commits, trackers, branchAction = 'related', repo = null }) {
+  const found = [];
+  // `action` is fixed, or decided per match by a function
+  const scan = (text, source, action, patternKey = 'regex') => {
+    trackers.forEach((tracker) => {
+      findAll(text, tracker[patternKey]).forEach((match) => {
+        const matchAction = typeof action === 'function' ? action(match) : action;
+        found.push(toIssue(tracker, match, matchAction, source, repo));
+      });
+    });
+  };
+
+  if (branch) scan(branch, 'branch', branchAction, 'branchRegex');
+
+  commits.forEach((commit) => {
+    const subjectAction = (match) => (CLOSING_PREFIX.test(commit.subject.slice(0, match.index)) ? 'closes' : 'related');
+    scan(commit.subject, 'subject', subjectAction);
+
+    (commit.footers || []).forEach((footer) => {
+      const token = footer.token.toLowerCase();
+      if (CLOSING_TOKENS.includes(token)) scan(footer.value, 'trailer', 'closes');
+      else if ([...RELATED_TOKENS, ...TICKET_TOKENS].includes(token)) scan(footer.value, 'trailer', 'related');
+    });
+  });
+
+  const byId = new Map();
+  found.forEach((issue) => {
+    const existing = byId.get(issue.id);
+    if (!existing) byId.set(issue.id, issue);
+    else if (issue.action === 'closes' && existing.action !== 'closes') byId.set(issue.id, issue);
+  });
+
+  const issues = [...byId.values()];
+  return [
+    ...issues.filter((issue) => issue.action === 'closes'),
+    ...issues.filter((issue) => issue.action !== 'closes'),
+  ];
+}
+
+/**
+ * Render a reference as a Related Issues line
+ * @param {{id: string, action: string, url: string|null}} issue - Reference from findIssues()
+ * @returns {string} `Closes PROJ-123`, or `Related to [PROJ-9](https://...)` when the tracker has a URL
+ */
+function formatIssue(issue) {
+  const id = issue.url ? `[${issue.id}](${issue.url})` : issue.id;
+  return `${issue.action === 'closes' ? 'Closes' : 'Related to'} ${id}`;
+}
+
+module.exports = {
+  compileTrackers,
+  findIssues,
+  formatIssue,
+};
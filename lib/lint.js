@@ -0,0 +1,118 @@
+/**
+ * Summary Linting
+ *
+ * Checks a filled-in PR summary for work left undone:
+ *
+ *   todo              `<!-- TODO ... -->` markers that were never replaced
+ *   placeholder       Template text such as `[Brief Description]` or `Closes #issue_number`
+ *   empty-section     Required sections with no content besides comments
+ *   missing-section   Required sections that were deleted
+ *   unchecked         Mandatory checklist items that are not ticked
+ */
+
+const TODO_PATTERN = /<!--\s*TODO\b:?\s*([\s\S]*?)\s*-->/gi;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const UNCHECKED_PATTERN = /^\s*[-*+]\s+\[ \]\s+(.*)$/;
+
+/**
+ * Normalize heading or checklist text for comparison: no emphasis, emoji or case
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .replace(/[*_`]/g, '')
+    .replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9)]+$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split a document into headed sections
+ * @param {string[]} lines - Document lines
+ * @returns {{title: string, line: number, body: string[]}[]} Sections; `line` is 1-based
+ */
+function splitSections(lines) {
+  const sections = [];
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(HEADING_PATTERN);
+    if (heading) {
+      sections.push({ title: heading[2], line: index + 1, body: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].body.push(line);
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Check whether section body lines have any real content
+ * @param {string[]} body - Lines between a heading and the next one
+ * @returns {boolean} True if there is text besides comments and rules
+ */
+function hasContent(body) {
+  return body
+    .join('\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split('\n')
+    .some((line) => line.trim() !== '' && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line));
+}
+
+/**
+ * Lint a PR summary
+ * @param {string} text - Summary Markdown
+ * @param {object} [options] - What to check
+ * @param {string[]} [options.placeholders] - Literal template text that must be replaced
+ * @param {string[]} [options.requiredSections] - Headings that must have content
+ * @param {string[]} [options.requiredChecks] - Checklist items that must be ticked (matched by substring)
+ * @returns {{line: number, rule: string, message: string}[]} Problems, in document order
+ */
+function lintSummary(text, { placeholders = [], requiredSections = [], requiredChecks = [] } = {}) {
+  const lines = text.split(/\r?\n/);
+  const problems = [];
+  const lineOf = (offset) => text.slice(0, offset).split('\n').length;
+
+  let match;
+  TODO_PATTERN.lastIndex = 0;
+  while ((match = TODO_PATTERN.exec(text)) !== null) {
+    const note = match[1].split('\n')[0];
+    problems.push({ line: lineOf(match.index), rule: 'todo', message: `TODO left${note ? `: ${note}` : ''}` });
+  }
+
+  let inFence = false;
+  lines.forEach((line, index) => {
+    placeholders
+      .filter((placeholder) => line.includes(placeholder))
+      .forEach((placeholder) => {
+        problems.push({ line: index + 1, rule: 'placeholder', message: `Placeholder not replaced: ${placeholder}` });
+      });
+
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    const unchecked = !inFence && line.match(UNCHECKED_PATTERN);
+    if (unchecked && requiredChecks.some((check) => normalize(unchecked[1]).includes(normalize(check)))) {
+      const item = unchecked[1].replace(/\*\*/g, '');
+      problems.push({ line: index + 1, rule: 'unchecked', message: `Required item not checked: ${item}` });
+    }
+  });
+
+  const sections = splitSections(lines);
+  requiredSections.forEach((title) => {
+    const section = sections.find((s) => normalize(s.title) === normalize(title));
+    if (!section) {
+      problems.push({ line: 1, rule: 'missing-section', message: `Required section missing: ${title}` });
+    } else if (!hasContent(section.body)) {
+      const message = `Required section is empty: ${section.title}`;
+      problems.push({ line: section.line, rule: 'empty-section', message });
+    }
+  });
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  lintSummary,
+};
@@ -0,0 +1,170 @@
+/**
+ * OpenAI-Compatible Chat Client
+ *
+ * Sends chat completion requests to any server that speaks the OpenAI
+ * `/chat/completions` API: a local Ollama or llama.cpp server, vLLM, LM Studio
+ * or a hosted provider. Uses only Node's http/https modules.
+ *
+ * Timeouts, network errors, 429 and 5xx responses are retried with
+ * exponential backoff; other 4xx responses fail immediately.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+class LlmError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {{status?: number, retryable?: boolean}} [details] - HTTP status and whether a retry may help
+   */
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Build a chat completion request without sending it
+ * @param {object} options - Request options
+ * @param {string} options.endpoint - Base URL, e.g. `http://localhost:11434/v1`
+ * @param {string} options.model - Model name
+ * @param {{role: string, content: string}[]} options.messages - Chat messages
+ * @param {string} [options.apiKey] - Bearer token
+ * @param {number} [options.temperature] - Sampling temperature
+ * @returns {{url: string, headers: object, body: object}} Request
+ */
+function buildChatRequest({ endpoint, model, messages, apiKey, temperature }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const body = { model, messages, stream: false };
+  if (typeof temperature === 'number') body.temperature = temperature;
+
+  return { url: `${endpoint.replace(/\/+$/, '')}/chat/completions`, headers, body };
+}
+
+/**
+ * POST a JSON request once
+ * @param {{url: string, headers: object, body: object}} request - Request from buildChatRequest()
+ * @param {number} timeout - Milliseconds for the whole request, response body included
+ * @returns {Promise<{status: number, body: string}>} Response
+ */
+function postOnce(request, timeout) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch (error) {
+      reject(new LlmError(`Invalid endpoint URL "${request.url}"`));
+      return;
+    }
+
+    let timer = null;
+    const settle = (callback, value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    const payload = JSON.stringify(request.body);
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...request.headers, 'Content-Length': Buffer.byteLength(payload) },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => settle(resolve, { status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        res.on('error', (error) => settle(reject, new LlmError(error.message, { retryable: true })));
+      }
+    );
+
+    // A deadline for the whole exchange: an idle timeout never fires while a server trickles bytes
+    timer = setTimeout(() => {
+      const seconds = Math.round(timeout / 1000);
+      settle(reject, new LlmError(`No response from ${url.host} within ${seconds}s`, { retryable: true }));
+      req.destroy();
+    }, timeout);
+    req.on('error', (error) => {
+      settle(reject, new LlmError(`${url.host}: ${error.message}`, { retryable: true }));
+    });
+    req.end(payload);
+  });
+}
+
+/**
+ * Extract the reply from a chat completion response
+ * @param {{status: number, body: string}} response - HTTP response
+ * @returns {string} Assistant message content
+ * @throws {LlmError} On error statuses or unexpected bodies
+ */
+function parseChatResponse(response) {
+  let json = null;
+  try {
+    json = JSON.parse(response.body);
+  } catch {
+    // Reported below
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = json && json.error;
+    const detail = (error && (typeof error === 'string' ? error : error.message)) || response.body.slice(0, 200);
+    throw new LlmError(`HTTP ${response.status}: ${detail}`, {
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500,
+    });
+  }
+
+  const content = json && json.choices && json.choices[0] && json.choices[0].message && json.choices[0].message.content;
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new LlmError('Response has no message content');
+  }
+  return content;
+}
+
+/**
+ * Send a chat completion request, retrying transient failures
+ * @param {{url: string, headers: object, body: object}} request - Request from buildChatRequest()
+ * @param {object} [policy] - Retry policy
+ * @param {number} [policy.timeout] - Milliseconds per attempt
+ * @param {number} [policy.retries] - Retries after the first attempt
+ * @param {number} [policy.backoff] - Milliseconds before the first retry, doubled for each one after it
+ * @param {function(LlmError, number, number): void} [policy.onRetry] - Called with the error, attempt and delay
+ * @returns {Promise<string>} Assistant message content
+ */
+async function sendChatRequest(request, { timeout = 120000, retries = 2, backoff = 1000, onRetry = () => {} } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return parseChatResponse(await postOnce(request, timeout));
+    } catch (error) {
+      if (!(error instanceof LlmError) || !error.retryable || attempt >= retries) throw error;
+      const delay = backoff * 2 ** attempt;
+      onRetry(error, attempt + 1, delay);
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Unwrap a reply that is one big code fence, as models often send whole documents
+ * @param {string} reply - Assistant message content
+ * @returns {string} The document, ending in a newline
+ */
+function unfence(reply) {
+  const fenced = reply.trim().match(/^(`{3,})(?:markdown|md)?\n([\s\S]*)\n\1$/);
+  return `${(fenced ? fenced[2] : reply).trim()}\n`;
+}
+
+module.exports = {
+  LlmError,
+  buildChatRequest,
+  sendChatRequest,
+  unfence,
+};
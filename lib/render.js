@@ -0,0 +1,398 @@
+/**
+ * Output Renderers
+ *
+ * Summaries are rendered from the template as GitHub-flavored Markdown, then
+ * adapted to where they will be pasted:
+ *
+ *   markdown, github  As rendered
+ *   gitlab            Blank lines inside <details>, which GitLab needs to render the Markdown in
+ *                     them, and lines that would run as quick actions (`/close`) escaped
+ *   bitbucket         ☐/☑ boxes instead of task lists, visible _placeholders_ instead of
+ *                     comments, and <details> flattened, since Bitbucket renders no HTML
+ *   html              Standalone HTML page, e.g. for email
+ *   text              Plain text with underlined headings and aligned tables
+ *
+ * Fenced code blocks are never changed, only re-marked by the html and text renderers,
+ * and keep their emoji when the rest loses them.
+ */
+
+const FENCE_PATTERN = /^\s*(```+|~~~+)\s*([\w-]*)/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d+\.)\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const COMMENT_PATTERN = /<!--\s*([\s\S]*?)\s*-->/g;
+const DETAILS_PATTERN = /^\s*<\/?details>\s*$/i;
+const SUMMARY_PATTERN = /^\s*<summary>(.*)<\/summary>\s*$/i;
+const QUICK_ACTION_PATTERN = /^\/(?=[a-z_]+(\s|$))/;
+
+// Emoji, with the variation selectors and joiners that belong to them. Symbols that are text
+// unless followed by U+FE0F, such as © and ™, only count with it
+const EMOJI_PATTERN =
+  /(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)(?:\uFE0F|\u200D|\p{Emoji_Modifier})*/gu;
+
+// Output formats and the extension of the file they are written to
+const FORMAT_EXTENSIONS = {
+  markdown: '.md',
+  github: '.md',
+  gitlab: '.md',
+  bitbucket: '.md',
+  html: '.html',
+  text: '.txt',
+};
+
+/**
+ * Split Markdown into fenced code blocks and the text around them
+ * @param {string} markdown - Markdown source
+ * @returns {{code: boolean, lines: string[]}[]} Chunks in order
+ */
+function splitFences(markdown) {
+  const chunks = [];
+  let fence = null;
+
+  markdown.split('\n').forEach((line) => {
+    const match = line.match(FENCE_PATTERN);
+    const opens = !fence && match;
+    const closes = fence && match && match[1].startsWith(fence) && line.trim() === match[1];
+    const code = Boolean(fence || opens);
+    if (chunks.length === 0 || chunks[chunks.length - 1].code !== code) chunks.push({ code, lines: [] });
+    chunks[chunks.length - 1].lines.push(line);
+    if (opens) fence = match[1];
+    else if (closes) fence = null;
+  });
+
+  return chunks;
+}
+
+/**
+ * Apply a transform to everything outside fenced code blocks
+ * @param {string} markdown - Markdown source
+ * @param {function(string): string} transform - Transform for text chunks
+ * @returns {string} Transformed Markdown
+ */
+function outsideFences(markdown, transform) {
+  return splitFences(markdown)
+    .map((chunk) => (chunk.code ? chunk.lines.join('\n') : transform(chunk.lines.join('\n'))))
+    .join('\n');
+}
+
+/**
+ * Remove emoji outside fenced code blocks, and the space they leave behind
+ * @param {string} markdown - Markdown source
+ * @returns {string} Markdown without emoji
+ */
+function stripEmoji(markdown) {
+  return outsideFences(markdown, (text) =>
+    text
+      .split('\n')
+      .map((line) => {
+        if (!EMOJI_PATTERN.test(line)) return line;
+        EMOJI_PATTERN.lastIndex = 0;
+        const indent = line.match(/^\s*/)[0];
+        return indent + line.slice(indent.length).replace(EMOJI_PATTERN, '').replace(/ {2,}/g, ' ').trim();
+      })
+      .join('\n')
+  );
+}
+
+/**
+ * Adapt a summary to GitLab, which renders Markdown inside <details> only when blank lines
+ * set it apart from the tags, and runs lines such as `/close` as quick actions
+ * @param {string} markdown - Summary
+ * @returns {string} GitLab Markdown
+ */
+function renderGitlab(markdown) {
+  return outsideFences(markdown, (text) => {
+    const lines = [];
+    text.split('\n').forEach((line) => {
+      const previous = lines[lines.length - 1];
+      if (/^\s*<\/details>\s*$/i.test(line) && previous !== undefined && previous.trim() !== '') lines.push('');
+      else if (previous !== undefined && SUMMARY_PATTERN.test(previous) && line.trim() !== '') lines.push('');
+      lines.push(line.replace(QUICK_ACTION_PATTERN, '\\/'));
+    });
+    return lines.join('\n');
+  });
+}
+
+/**
+ * Adapt a summary to Bitbucket, which renders no HTML and no task lists
+ * @param {string} markdown - Summary
+ * @returns {string} Bitbucket Markdown
+ */
+function renderBitbucket(markdown) {
+  return outsideFences(markdown, (text) =>
+    text
+      .replace(COMMENT_PATTERN, (match, comment) => (comment ? `_${comment}_` : ''))
+      .split('\n')
+      .filter((line) => !DETAILS_PATTERN.test(line))
+      .map((line) => {
+        const summary = line.match(SUMMARY_PATTERN);
+        if (summary) return summary[1].replace(/<\/?b>/gi, '**');
+        const item = line.match(LIST_PATTERN);
+        if (item && item[3]) return `${item[1]}${item[2]} ${item[3] === ' ' ? '☐' : '☑'} ${item[4]}`;
+        return line;
+      })
+      .join('\n')
+  );
+}
+
+/**
+ * Parse Markdown into the blocks the html and text renderers handle
+ * @param {string} markdown - Markdown source
+ * @returns {object[]} Blocks: heading, paragraph, list, table, code, rule, comment and html
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  const last = () => blocks[blocks.length - 1];
+
+  splitFences(markdown).forEach((chunk) => {
+    if (chunk.code) {
+      const closed = chunk.lines.length > 1 && FENCE_PATTERN.test(chunk.lines[chunk.lines.length - 1]);
+      const language = chunk.lines[0].match(FENCE_PATTERN)[2];
+      blocks.push({ type: 'code', language, lines: chunk.lines.slice(1, closed ? -1 : undefined) });
+      return;
+    }
+
+    const { lines } = chunk;
+    for (let index = 0; index < lines.length; index += 1) {
+      const line = lines[index];
+      const heading = line.match(HEADING_PATTERN);
+      const item = line.match(LIST_PATTERN);
+
+      if (line.trim() === '') {
+        blocks.push({ type: 'blank' });
+      } else if (heading) {
+        blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      } else if (RULE_PATTERN.test(line)) {
+        blocks.push({ type: 'rule' });
+      } else if (/^\s*<!--[\s\S]*-->\s*$/.test(line)) {
+        blocks.push({ type: 'comment', text: line.trim().replace(/^<!--\s*|\s*-->$/g, '') });
+      } else if (DETAILS_PATTERN.test(line) || SUMMARY_PATTERN.test(line)) {
+        blocks.push({ type: 'html', text: line.trim() });
+      } else if (line.trim().startsWith('|') && TABLE_SEPARATOR_PATTERN.test(lines[index + 1] || '')) {
+        const cells = (row) =>
+          row
+            .trim()
+            .replace(/^\||\|$/g, '')
+            .split(/(?<!\\)\|/)
+            .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+        const rows = [cells(line)];
+        index += 2;
+        while (index < lines.length && lines[index].trim().startsWith('|')) {
+          rows.push(cells(lines[index]));
+          index += 1;
+        }
+        index -= 1;
+        blocks.push({ type: 'table', rows });
+      } else if (item) {
+        const entry = {
+          indent: item[1].length,
+          ordered: /\d/.test(item[2]),
+          checked: item[3] ? item[3] !== ' ' : null,
+          text: item[4],
+        };
+        if (last() && last().type === 'list') last().items.push(entry);
+        else blocks.push({ type: 'list', items: [entry] });
+      } else if (last() && last().type === 'paragraph') {
+        last().lines.push(line.trim());
+      } else {
+        blocks.push({ type: 'paragraph', lines: [line.trim()] });
+      }
+    }
+  });
+
+  return blocks.filter((block) => block.type !== 'blank');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render inline Markdown: code spans, emphasis, links and comments
+ * @param {string} text - Inline Markdown
+ * @param {object} marks - How each element is rendered
+ * @returns {string} Rendered text
+ */
+function renderInline(text, marks) {
+  const kept = [];
+  const keep = (value) => `\u0000${kept.push(value) - 1}\u0000`;
+
+  const rendered = marks
+    .escape(
+      text
+        .replace(/`([^`]+)`/g, (match, code) => keep(marks.code(code)))
+        .replace(COMMENT_PATTERN, (match, comment) => keep(marks.comment(comment)))
+    )
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => marks.link(label, url))
+    .replace(/\*\*([^*]+)\*\*/g, (match, strong) => marks.strong(strong))
+    .replace(/(^|[\s(])_([^_]+)_(?=$|[\s).,:;!?])/g, (match, before, em) => before + marks.em(em));
+
+  return rendered.replace(/\u0000(\d+)\u0000/g, (match, index) => kept[Number(index)]);
+}
+
+// Inline elements as HTML
+const htmlMarks = {
+  escape: escapeHtml,
+  code: (code) => `<code>${escapeHtml(code)}</code>`,
+  comment: (comment) => `<!-- ${comment.replace(/--/g, '- -')} -->`,
+  link: (label, url) => `<a href="${url}">${label}</a>`,
+  strong: (text) => `<strong>${text}</strong>`,
+  em: (text) => `<em>${text}</em>`,
+};
+
+// Inline elements as plain text
+const textMarks = {
+  escape: (text) => text.replace(/<\/?b>/gi, ''),
+  code: (code) => code,
+  comment: (comment) => (comment ? `[${comment}]` : ''),
+  link: (label, url) => (label === url ? url : `${label} (${url})`),
+  strong: (text) => text,
+  em: (text) => text,
+};
+
+/**
+ * Render a summary as a standalone HTML page
+ * @param {string} markdown - Summary
+ * @returns {string} HTML document
+ */
+function renderHtml(markdown) {
+  const inline = (text) => renderInline(text, htmlMarks);
+  const blocks = parseBlocks(markdown);
+  const titleBlock = blocks.find((block) => block.type === 'heading');
+  const title = titleBlock ? renderInline(titleBlock.text, textMarks) : 'PR Summary';
+
+  const body = blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${inline(block.text)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${block.lines.map(inline).join('<br>\n')}</p>`;
+      case 'rule':
+        return '<hr>';
+      case 'comment':
+        return htmlMarks.comment(block.text);
+      case 'html':
+        return block.text;
+      case 'code': {
+        const language = block.language ? ` class="language-${block.language}"` : '';
+        return `<pre><code${language}>${escapeHtml(block.lines.join('\n'))}</code></pre>`;
+      }
+      case 'table': {
+        const [head, ...rows] = block.rows;
+        const row = (cells, tag) => `<tr>${cells.map((cell) => `<${tag}>${inline(cell)}</${tag}>`).join('')}</tr>`;
+        return `<table>\n<thead>${row(head, 'th')}</thead>\n<tbody>\n${rows
+          .map((cells) => row(cells, 'td'))
+          .join('\n')}\n</tbody>\n</table>`;
+      }
+      default: {
+        const tag = block.items[0].ordered ? 'ol' : 'ul';
+        const items = block.items.map((item) => {
+          const box = item.checked === null ? '' : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+          const nested = item.indent > 0 ? ' style="margin-left: 1.5em"' : '';
+          return `<li${nested}>${box}${inline(item.text)}</li>`;
+        });
+        return `<${tag}>\n${items.join('\n')}\n</${tag}>`;
+      }
+    }
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    'body { font-family: sans-serif; line-height: 1.5; max-width: 60em; margin: 2em auto; padding: 0 1em; }',
+    'table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }',
+    'code, pre { background: #f5f5f5; } pre { padding: 0.8em; overflow-x: auto; } li { list-style-position: inside; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render a summary as plain text
+ * @param {string} markdown - Summary
+ * @returns {string} Text
+ */
+function renderText(markdown) {
+  const inline = (text) => renderInline(text, textMarks);
+  const underlines = { 1: '=', 2: '-', 3: '~' };
+
+  const sections = parseBlocks(markdown).map((block) => {
+    switch (block.type) {
+      case 'heading': {
+        const text = inline(block.text);
+        return underlines[block.level] ? `${text}\n${underlines[block.level].repeat(text.length)}` : text;
+      }
+      case 'paragraph':
+        return block.lines.map(inline).join('\n');
+      case 'rule':
+        return '-'.repeat(40);
+      case 'comment':
+        return textMarks.comment(block.text);
+      case 'html':
+        return inline(block.text.replace(/<\/?(details|summary)>/gi, ''));
+      case 'code':
+        return block.lines.map((line) => `    ${line}`).join('\n');
+      case 'table': {
+        const rows = block.rows.map((cells) => cells.map(inline));
+        const widths = rows[0].map((cell, column) => Math.max(...rows.map((row) => (row[column] || '').length)));
+        const format = (row) =>
+          widths
+            .map((width, column) => (row[column] || '').padEnd(width))
+            .join('  ')
+            .trimEnd();
+        return [
+          format(rows[0]),
+          widths.map((width) => '-'.repeat(width)).join('  '),
+          ...rows.slice(1).map(format),
+        ].join('\n');
+      }
+      default:
+        return block.items
+          .map((item, index) => {
+            const marker = item.ordered ? `${index + 1}.` : '-';
+            const box = item.checked === null ? '' : `[${item.checked ? 'x' : ' '}] `;
+            return `${' '.repeat(item.indent)}${marker} ${box}${inline(item.text)}`;
+          })
+          .join('\n');
+    }
+  });
+
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * Render a summary for a platform
+ * @param {string} markdown - Summary rendered from the template
+ * @param {string} format - `markdown`, `github`, `gitlab`, `bitbucket`, `html` or `text`
+ * @param {{emoji?: boolean}} [options] - `emoji: false` removes emoji outside code first
+ * @returns {string} Rendered summary
+ */
+function renderSummary(markdown, format, { emoji = true } = {}) {
+  const source = emoji ? markdown : stripEmoji(markdown);
+  if (format === 'gitlab') return renderGitlab(source);
+  if (format === 'bitbucket') return renderBitbucket(source);
+  if (format === 'html') return renderHtml(source);
+  if (format === 'text') return renderText(source);
+  return source;
+}
+
+module.exports = {
+  FORMAT_EXTENSIONS,
+  renderSummary,
+  stripEmoji,
+};
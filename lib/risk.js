@@ -0,0 +1,186 @@
+/**
+ * Risk Scoring
+ *
+ * Scores a change with weighted factors, so the summary can say why a PR is
+ * risky rather than just that it is:
+ *
+ *   size              Lines changed, one step per threshold passed
+ *   largeFiles        Files with many changed lines, one step per threshold passed
+ *   deletedRatio      Mostly deleted code
+ *   sensitivePaths    Auth, payments, migrations, CI config and the like
+ *   packages          Many workspace packages touched
+ *   testRatio         Source changes with few or no test changes
+ *   newDependencies   Dependencies added to a manifest
+ *   churn             Files that changed often in recent history
+ *
+ * Each factor adds `weight` points per step; the total is compared against the
+ * `medium` and `high` levels. A weight of 0 disables a factor. Test files,
+ * new dependencies and churn may cover more files than `changes`; only their
+ * entries for the scored changes count, so one set of them serves every package.
+ */
+
+const { isSourceFile } = require('./coverage');
+const { matchesGlob } = require('./glob');
+
+// Files named in a factor's detail before the rest are only counted
+const MAX_LISTED_FILES = 5;
+
+/**
+ * Join file names, counting the ones past the limit
+ * @param {string[]} files - Repository-relative paths
+ * @returns {string} Comma-separated list
+ */
+function listFiles(files) {
+  const shown = files.slice(0, MAX_LISTED_FILES);
+  if (files.length > MAX_LISTED_FILES) shown.push(`${files.length - MAX_LISTED_FILES} more`);
+  return shown.join(', ');
+}
+
+/**
+ * Count how many thresholds a value reaches
+ * @param {number} value - Measured value
+ * @param {number[]} thresholds - Ascending thresholds
+ * @returns {number} Steps
+ */
+function steps(value, thresholds) {
+  return thresholds.filter((threshold) => value >= threshold).length;
+}
+
+// Factor evaluators: each returns the number of steps reached and a description
+const evaluators = {
+  size({ totalChanges }, { lines }) {
+    return { steps: steps(totalChanges, lines), detail: `${totalChanges} lines changed` };
+  },
+
+  largeFiles({ changes }, { lines, files }) {
+    const large = changes.filter((change) => change.added + change.removed > lines);
+    return {
+      steps: steps(large.length, files),
+      detail: `${large.length} files with more than ${lines} lines changed`,
+    };
+  },
+
+  deletedRatio({ totalAdded, totalRemoved, totalChanges }, { ratio, minLines }) {
+    const deleted = totalChanges > 0 ? totalRemoved / totalChanges : 0;
+    const percent = Math.round(deleted * 100);
+    return {
+      steps: totalChanges >= minLines && deleted >= ratio ? 1 : 0,
+      detail: `${percent}% of changed lines are deletions (${totalRemoved} removed, ${totalAdded} added)`,
+    };
+  },
+
+  sensitivePaths({ changes }, { paths }) {
+    const touched = changes
+      .map((change) => change.path)
+      .filter((file) => paths.some((glob) => matchesGlob(file, glob)));
+    return {
+      steps: touched.length > 0 ? 1 : 0,
+      detail: touched.length > 0 ? `Sensitive files touched: ${listFiles(touched)}` : 'No sensitive files touched',
+    };
+  },
+
+  packages({ packageCount }, { packages }) {
+    return {
+      steps: packageCount >= packages ? 1 : 0,
+      detail: `${packageCount} workspace ${packageCount === 1 ? 'package' : 'packages'} touched`,
+    };
+  },
+
+  testRatio({ changes, testFiles }, { ratio, minLines }) {
+    const lines = (change) => change.added + change.removed;
+    const testLines = changes.filter((change) => testFiles.has(change.path)).reduce((sum, c) => sum + lines(c), 0);
+    const sourceLines = changes
+      .filter((change) => !testFiles.has(change.path) && isSourceFile(change.path))
+      .reduce((sum, c) => sum + lines(c), 0);
+    const detail =
+      testLines === 0
+        ? `${sourceLines} source lines changed without test changes`
+        : `${testLines} test lines for ${sourceLines} source lines changed`;
+    return { steps: sourceLines >= minLines && testLines < sourceLines * ratio ? 1 : 0, detail };
+  },
+
+  newDependencies({ changes, newDependencies }) {
+    const paths = new Set(changes.map((change) => change.path));
+    const added = newDependencies.filter((dependency) => paths.has(dependency.file));
+    return {
+      steps: added.length > 0 ? 1 : 0,
+      detail:
+        added.length > 0
+          ? `New dependencies: ${added.map((dependency) => dependency.name).join(', ')}`
+          : 'No new dependencies',
+    };
+  },
+
+  churn({ changes, churn }, { days, commits }) {
+    const hot = changes
+      .filter((change) => (churn.get(change.path) || 0) >= commits)
+      .sort((a, b) => churn.get(b.path) - churn.get(a.path))
+      .map((change) => `${change.path} (${churn.get(change.path)})`);
+    return {
+      steps: hot.length > 0 ? 1 : 0,
+      detail:
+        hot.length > 0
+          ? `Changed in ${commits}+ commits over the last ${days} days: ${listFiles(hot)}`
+          : `No file changed in ${commits}+ commits over the last ${days} days`,
+    };
+  },
+};
+
+// Labels shown next to each factor
+const factorLabels = {
+  size: 'Size',
+  largeFiles: 'Large files',
+  deletedRatio: 'Deleted code',
+  sensitivePaths: 'Sensitive paths',
+  packages: 'Packages touched',
+  testRatio: 'Test coverage of changes',
+  newDependencies: 'New dependencies',
+  churn: 'File churn',
+};
+
+/**
+ * Score the risk of a set of changes
+ * @param {object} facts - What is known about the changes
+ * @param {object[]} facts.changes - Changed files from getChangedFiles()
+ * @param {Set<string>} [facts.testFiles] - Paths of changed test files
+ * @param {number} [facts.packageCount] - Workspace packages touched
+ * @param {{name: string, file: string}[]} [facts.newDependencies] - Dependencies added, and the manifest they were added to
+ * @param {Map<string, number>} [facts.churn] - Recent commit count per path
+ * @param {object} config - Risk config: `medium` and `high` levels, and `factors` by id
+ * @returns {{level: string, score: number, factors: {id: string, label: string, points: number, detail: string}[]}} Risk
+ */
+function scoreRisk(
+  { changes, testFiles = new Set(), packageCount = 0, newDependencies = [], churn = new Map() },
+  { medium, high, factors }
+) {
+  const totalAdded = changes.reduce((sum, change) => sum + change.added, 0);
+  const totalRemoved = changes.reduce((sum, change) => sum + change.removed, 0);
+  const facts = {
+    changes,
+    testFiles,
+    packageCount,
+    newDependencies,
+    churn,
+    totalAdded,
+    totalRemoved,
+    totalChanges: totalAdded + totalRemoved,
+  };
+
+  const scored = Object.keys(evaluators)
+    .filter((id) => factors[id] && factors[id].weight > 0)
+    .map((id) => {
+      const result = evaluators[id](facts, factors[id]);
+      return { id, label: factorLabels[id], points: result.steps * factors[id].weight, detail: result.detail };
+    });
+
+  const score = scored.reduce((sum, factor) => sum + factor.points, 0);
+  let level = 'Low';
+  if (score >= high) level = 'High';
+  else if (score >= medium) level = 'Medium';
+
+  return { level, score, factors: scored };
+}
+
+module.exports = {
+  scoreRisk,
+};
@@ -0,0 +1,153 @@
+/**
+ * Suggestion Rules Engine
+ *
+ * A rule pairs conditions with a message. Every condition in `when` must hold
+ * for the rule to fire:
+ *
+ *   {
+ *     id: 'no-console',
+ *     severity: 'warning',                 // error | warning | info
+ *     message: '🐛 console.log added',
+ *     when: {
+ *       files: ['src/**'],                 // any changed file matches a glob
+ *       categories: ['components'],        // every listed category has changes
+ *       missingCategories: ['tests'],      // no listed category has changes
+ *       prTypes: ['Feature', 'Fix'],       // PR type is one of these
+ *       excludePrTypes: ['Docs'],          // PR type is none of these
+ *       minChangedLines: 500,              // added + removed lines
+ *       maxChangedLines: 2000,
+ *       addedLines: 'console\\.log\\(',     // regex matched against added diff lines
+ *       removedLines: '@deprecated',       // regex matched against removed diff lines
+ *     },
+ *   }
+ *
+ * Plugin rules may also provide `test(facts)`, returning a boolean or the list
+ * of files that triggered the rule.
+ */
+
+const { matchesGlob } = require('./glob');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Files in `candidates` that have a diff line matching the pattern
+ * @param {Map<string, {text: string}[]>} lines - Diff lines per file
+ * @param {string} pattern - Regex source
+ * @param {string[]} candidates - Files to look at
+ * @returns {string[]} Matching files
+ */
+function filesWithLine(lines, pattern, candidates) {
+  const regex = new RegExp(pattern);
+  return candidates.filter((file) => (lines.get(file) || []).some((line) => regex.test(line.text)));
+}
+
+/**
+ * Evaluate a single rule
+ * @param {object} rule - Rule definition
+ * @param {object} facts - Facts about the PR, see evaluateRules()
+ * @returns {{matched: boolean, files: string[]}} Whether it fired and which files triggered it
+ */
+function evaluateRule(rule, facts) {
+  const when = rule.when || {};
+  const hasChanges = (key) => Boolean(facts.categories[key] && facts.categories[key].length > 0);
+  const changedLines = facts.analysis.totalAdded + facts.analysis.totalRemoved;
+  let files = facts.files;
+  let narrowed = false;
+  const miss = { matched: false, files: [] };
+
+  if (when.files) {
+    files = files.filter((file) => when.files.some((glob) => matchesGlob(file, glob)));
+    narrowed = true;
+    if (files.length === 0) return miss;
+  }
+  if (when.categories && !when.categories.every(hasChanges)) return miss;
+  if (when.missingCategories && when.missingCategories.some(hasChanges)) return miss;
+  if (when.prTypes && !when.prTypes.includes(facts.prType.type)) return miss;
+  if (when.excludePrTypes && when.excludePrTypes.includes(facts.prType.type)) return miss;
+  if (typeof when.minChangedLines === 'number' && changedLines < when.minChangedLines) return miss;
+  if (typeof when.maxChangedLines === 'number' && changedLines > when.maxChangedLines) return miss;
+
+  if (when.addedLines) {
+    files = filesWithLine(facts.diff().added, when.addedLines, files);
+    narrowed = true;
+    if (files.length === 0) return miss;
+  }
+  if (when.removedLines) {
+    files = filesWithLine(facts.diff().removed, when.removedLines, files);
+    narrowed = true;
+    if (files.length === 0) return miss;
+  }
+
+  if (typeof rule.test === 'function') {
+    const result = rule.test(facts);
+    if (!result || (Array.isArray(result) && result.length === 0)) return miss;
+    if (Array.isArray(result)) return { matched: true, files: result };
+  }
+
+  return { matched: true, files: narrowed ? files : [] };
+}
+
+/**
+ * Merge rule lists; later rules replace earlier ones with the same id
+ * @param {...object[]} lists - Rule lists, lowest precedence first
+ * @returns {object[]} Merged rules, without disabled ones
+ */
+function mergeRules(...lists) {
+  const merged = new Map();
+  lists.flat().forEach((rule, index) => {
+    const id = rule.id || `rule-${index}`;
+    merged.set(id, { ...merged.get(id), ...rule, id });
+  });
+  return [...merged.values()].filter((rule) => rule.enabled !== false);
+}
+
+/**
+ * Check a rule definition, returning a problem description if it is invalid
+ * @param {object} rule - Rule definition
+ * @returns {string|null} Problem, or null when valid
+ */
+function validateRule(rule) {
+  if (!rule.message) return `rule "${rule.id}" has no message`;
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+    return `rule "${rule.id}" has unknown severity "${rule.severity}" (expected ${SEVERITIES.join(', ')})`;
+  }
+  const when = rule.when || {};
+  try {
+    if (when.addedLines) new RegExp(when.addedLines); // eslint-disable-line no-new
+    if (when.removedLines) new RegExp(when.removedLines); // eslint-disable-line no-new
+  } catch (error) {
+    return `rule "${rule.id}" has an invalid pattern: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Evaluate rules against the facts of a PR
+ * @param {object[]} rules - Rule definitions
+ * @param {object} facts - Facts about the PR
+ * @param {{type: string}} facts.prType - PR type object
+ * @param {string[]} facts.files - Changed files after exclusions
+ * @param {object} facts.categories - Categorized files
+ * @param {{totalAdded: number, totalRemoved: number}} facts.analysis - Complexity analysis
+ * @param {function(): {added: Map, removed: Map}} facts.diff - Lazily loads diff lines per file
+ * @returns {{id: string, severity: string, message: string, files: string[]}[]} Fired rules, most severe first
+ */
+function evaluateRules(rules, facts) {
+  const suggestions = [];
+
+  rules.forEach((rule) => {
+    const { matched, files } = evaluateRule(rule, facts);
+    if (!matched) return;
+    const message = typeof rule.message === 'function' ? rule.message(facts, files) : rule.message;
+    suggestions.push({ id: rule.id, severity: rule.severity || 'info', message, files });
+  });
+
+  return suggestions.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+module.exports = {
+  SEVERITIES,
+  evaluateRules,
+  mergeRules,
+  validateRule,
+};
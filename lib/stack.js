@@ -0,0 +1,136 @@
+/**
+ * Stacked Branches
+ *
+ * Finds the chain of branches a branch belongs to, each based on the one
+ * before it:
+ *
+ *   main ← feature/api ← feature/ui ← feature/docs
+ *
+ * A branch's parent is the local branch it shares the most history with:
+ * the one that leaves the fewest of its commits unaccounted for, as long as
+ * that is fewer than the trunk leaves. Ties go to the branch with the fewest
+ * commits of its own. Git access is passed in as `measure`, so the chain can
+ * be worked out from any source of commit counts. findStack() measures each
+ * pair of branches once, in one direction, since the counts the other way
+ * round are the same two numbers swapped.
+ */
+
+/**
+ * Commit counts between a branch and a possible parent
+ * @callback Measure
+ * @param {string} branch - Branch
+ * @param {string} parent - Possible parent
+ * @returns {{ahead: number, behind: number}} Commits only `branch` has, and commits only `parent` has,
+ *   counted from their merge base
+ */
+
+/**
+ * Remember the counts of each pair of branches, and answer the reverse pair from them
+ * @param {Measure} measure - Commit counts
+ * @returns {Measure} Commit counts, measured once per pair
+ */
+function measureOnce(measure) {
+  const counts = new Map();
+  return (branch, parent) => {
+    const key = `${branch}\n${parent}`;
+    if (!counts.has(key)) {
+      const { ahead, behind } = measure(branch, parent);
+      counts.set(key, { ahead, behind });
+      counts.set(`${parent}\n${branch}`, { ahead: behind, behind: ahead });
+    }
+    return counts.get(key);
+  };
+}
+
+/**
+ * Find the branch a branch is based on
+ * @param {string} branch - Branch
+ * @param {string} trunk - Branch the stack is based on, e.g. `main`
+ * @param {string[]} branches - Local branches
+ * @param {Measure} measure - Commit counts
+ * @returns {string} Parent branch, or `trunk`
+ */
+function findParent(branch, trunk, branches, measure) {
+  const limit = measure(branch, trunk).ahead;
+  const candidates = branches
+    .filter((candidate) => candidate !== branch && candidate !== trunk)
+    .map((candidate) => ({ name: candidate, ...measure(branch, candidate) }))
+    .filter((candidate) => candidate.ahead > 0 && candidate.ahead < limit)
+    .sort((a, b) => a.ahead - b.ahead || a.behind - b.behind);
+
+  return candidates.length > 0 ? candidates[0].name : trunk;
+}
+
+/**
+ * Find the stack a branch belongs to: its parents down to the trunk, and the
+ * branches based on it for as long as there is only one
+ * @param {string} branch - Branch
+ * @param {string} trunk - Branch the stack is based on
+ * @param {string[]} branches - Local branches
+ * @param {Measure} measure - Commit counts
+ * @returns {{
+ *   trunk: string,
+ *   branches: {name: string, parent: string, behind: number}[],
+ *   forks: string[]
+ * }} Branches from the bottom of the stack up, with the commits their parent has that they lack; `forks`
+ *   lists the branches based on the top one when there are several, which ends the stack
+ */
+function findStack(branch, trunk, branches, measure) {
+  const counts = measureOnce(measure);
+  const parents = new Map();
+  const parentOf = (name) => {
+    if (!parents.has(name)) parents.set(name, findParent(name, trunk, branches, counts));
+    return parents.get(name);
+  };
+
+  const chain = [branch];
+  for (let parent = parentOf(branch); parent !== trunk && !chain.includes(parent); parent = parentOf(parent)) {
+    chain.unshift(parent);
+  }
+
+  let forks = [];
+  for (;;) {
+    const top = chain[chain.length - 1];
+    const children = branches.filter((name) => name !== trunk && !chain.includes(name) && parentOf(name) === top);
+    if (children.length !== 1) {
+      forks = children.length > 1 ? children : [];
+      break;
+    }
+    chain.push(children[0]);
+  }
+
+  return {
+    trunk,
+    branches: chain.map((name, index) => {
+      const parent = index === 0 ? trunk : chain[index - 1];
+      return { name, parent, behind: index === 0 ? 0 : counts(name, parent).behind };
+    }),
+    forks,
+  };
+}
+
+/**
+ * Render the position of a branch in its stack, with links to the summaries before and after it
+ * @param {object} stack - Stack from findStack()
+ * @param {string} branch - Branch the summary is for
+ * @param {function(string): string} fileOf - Summary file of a branch
+ * @returns {string} Markdown
+ */
+function formatStackLinks(stack, branch, fileOf) {
+  const names = stack.branches.map((entry) => entry.name);
+  const index = names.indexOf(branch);
+  const chain = [stack.trunk, ...names].map((name) => (name === branch ? `**\`${name}\`**` : `\`${name}\``));
+  const link = (name) => `[\`${name}\`](${fileOf(name)})`;
+
+  const lines = [`**Stack** (${index + 1} of ${names.length}): ${chain.join(' ← ')}`, ''];
+  if (index > 0) lines.push(`- Depends on ${link(names[index - 1])}`);
+  else lines.push(`- Based on \`${stack.trunk}\``);
+  if (index < names.length - 1) lines.push(`- Followed by ${link(names[index + 1])}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  findParent,
+  findStack,
+  formatStackLinks,
+};
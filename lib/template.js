@@ -0,0 +1,298 @@
+/* eslint-disable no-plusplus */
+
+/**
+ * Template Engine
+ *
+ * Minimal Markdown-friendly template renderer used for PR summaries.
+ *
+ * Syntax:
+ *   {{path.to.value}}                   Interpolate a value from the context
+ *   {{#if value}} ... {{else}} ... {{/if}}
+ *   {{#unless value}} ... {{/unless}}
+ *   {{#each list}} ... {{/each}}        Loop; `this`, `@index`, `@key`, `@first`, `@last`
+ *
+ * A block tag that sits alone on its line is removed together with that line,
+ * so templates can be laid out like regular Markdown.
+ */
+
+const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+const PATH_PATTERN = /^(?:this|@?[A-Za-z_$][\w$]*)(?:\.[A-Za-z_$][\w$]*)*$/;
+const BLOCK_NAMES = ['if', 'unless', 'each'];
+
+class TemplateError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {number} line - 1-based line number in the template source
+   * @param {string} [source] - Template file name, for error messages
+   */
+  constructor(message, line, source) {
+    super(`${source ? `${source}:` : 'line '}${line}: ${message}`);
+    this.name = 'TemplateError';
+    this.line = line;
+    this.source = source;
+  }
+}
+
+/**
+ * Count the line number of a character offset
+ * @param {string} text - Template source
+ * @param {number} offset - Character offset
+ * @returns {number} 1-based line number
+ */
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+}
+
+/**
+ * Split template source into text and tag tokens
+ * @param {string} text - Template source
+ * @param {string} [sourceName] - Template file name, for error messages
+ * @returns {object[]} Tokens
+ */
+function tokenize(text, sourceName) {
+  const tokens = [];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(text)) !== null) {
+    const inner = match[1].trim();
+    const line = lineAt(text, match.index);
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+    let token;
+
+    if (inner.startsWith('#')) {
+      const [name, ...rest] = inner.slice(1).trim().split(/\s+/);
+      if (!BLOCK_NAMES.includes(name)) {
+        throw new TemplateError(`Unknown block helper "#${name}"`, line, sourceName);
+      }
+      token = { kind: 'open', name, path: rest.join(' '), line };
+    } else if (inner.startsWith('/')) {
+      token = { kind: 'close', name: inner.slice(1).trim(), line };
+    } else if (inner === 'else') {
+      token = { kind: 'else', line };
+    } else {
+      token = { kind: 'var', path: inner, line };
+    }
+
+    if (token.kind !== 'var') {
+      // Standalone block tags swallow their whole line
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const newline = text.indexOf('\n', end);
+      const lineEnd = newline === -1 ? text.length : newline + 1;
+      if (/^[ \t]*$/.test(text.slice(lineStart, start)) && /^[ \t]*\r?\n?$/.test(text.slice(end, lineEnd))) {
+        start = Math.max(lineStart, cursor);
+        end = lineEnd;
+      }
+    }
+
+    if (start > cursor) tokens.push({ kind: 'text', value: text.slice(cursor, start) });
+    tokens.push(token);
+    cursor = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  if (cursor < text.length) tokens.push({ kind: 'text', value: text.slice(cursor) });
+  return tokens;
+}
+
+/**
+ * Build a node tree from tokens, validating block structure
+ * @param {object[]} tokens - Tokens from tokenize()
+ * @param {string} [sourceName] - Template file name, for error messages
+ * @returns {object[]} Root nodes
+ */
+function parse(tokens, sourceName) {
+  const root = { children: [] };
+  const stack = [root];
+
+  tokens.forEach((token) => {
+    const current = stack[stack.length - 1];
+    const target = current.inverse || current.children;
+
+    switch (token.kind) {
+      case 'text':
+        target.push(token);
+        break;
+      case 'var':
+        if (!PATH_PATTERN.test(token.path)) {
+          throw new TemplateError(`Invalid placeholder "{{${token.path}}}"`, token.line, sourceName);
+        }
+        target.push(token);
+        break;
+      case 'open':
+        if (!PATH_PATTERN.test(token.path)) {
+          throw new TemplateError(`"#${token.name}" needs a value, got "${token.path}"`, token.line, sourceName);
+        }
+        {
+          const block = { ...token, children: [], inverse: null };
+          target.push(block);
+          stack.push(block);
+        }
+        break;
+      case 'else':
+        if (stack.length === 1 || current.inverse) {
+          throw new TemplateError('Unexpected {{else}}', token.line, sourceName);
+        }
+        current.inverse = [];
+        break;
+      case 'close':
+        if (stack.length === 1) {
+          throw new TemplateError(`Unexpected {{/${token.name}}} with no open block`, token.line, sourceName);
+        }
+        if (current.name !== token.name) {
+          throw new TemplateError(
+            `{{/${token.name}}} does not match {{#${current.name}}} opened on line ${current.line}`,
+            token.line,
+            sourceName
+          );
+        }
+        stack.pop();
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${open.name} ${open.path}}} block`, open.line, sourceName);
+  }
+
+  return root.children;
+}
+
+/**
+ * Check for an own property, so prototype members such as `constructor` never resolve
+ * @param {object} object - Object to look in
+ * @param {string} key - Property name
+ * @returns {boolean} True when the object itself has the property
+ */
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Resolve a dotted path against the scope chain
+ * @param {string} pathExpr - Path such as `analysis.complexity` or `this`
+ * @param {object[]} scopes - Scope chain, innermost last
+ * @param {number} line - Line of the tag, for error messages
+ * @param {string} [sourceName] - Template file name, for error messages
+ * @returns {*} Resolved value
+ */
+function lookup(pathExpr, scopes, line, sourceName) {
+  const [head, ...rest] = pathExpr.split('.');
+  const unknown = () => new TemplateError(`Unknown placeholder "{{${pathExpr}}}"`, line, sourceName);
+  let value;
+
+  if (head === 'this') {
+    value = scopes[scopes.length - 1].value;
+  } else if (head.startsWith('@')) {
+    const frame = scopes[scopes.length - 1];
+    if (!frame.data || !has(frame.data, head.slice(1))) throw unknown();
+    value = frame.data[head.slice(1)];
+  } else {
+    const scope = [...scopes]
+      .reverse()
+      .find((s) => s.value !== null && typeof s.value === 'object' && has(s.value, head));
+    if (!scope) throw unknown();
+    value = scope.value[head];
+  }
+
+  rest.forEach((key) => {
+    if (value === null || typeof value !== 'object' || !has(value, key)) throw unknown();
+    value = value[key];
+  });
+
+  return value;
+}
+
+/**
+ * Decide whether a block condition is truthy (empty arrays are falsy)
+ * @param {*} value - Resolved value
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Render nodes against the scope chain
+ * @param {object[]} nodes - Nodes from parse()
+ * @param {object[]} scopes - Scope chain
+ * @param {string} [sourceName] - Template file name, for error messages
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, sourceName) {
+  let output = '';
+
+  nodes.forEach((node) => {
+    if (node.kind === 'text') {
+      output += node.value;
+      return;
+    }
+
+    const value = lookup(node.path, scopes, node.line, sourceName);
+
+    if (node.kind === 'var') {
+      if (value === null || value === undefined) return;
+      output += Array.isArray(value) ? value.join('\n') : String(value);
+      return;
+    }
+
+    if (node.name === 'each') {
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : Object.entries(value || {});
+      if (entries.length === 0) {
+        if (node.inverse) output += renderNodes(node.inverse, scopes, sourceName);
+        return;
+      }
+      entries.forEach(([key, item], index) => {
+        const data = { index, key, first: index === 0, last: index === entries.length - 1 };
+        output += renderNodes(node.children, [...scopes, { value: item, data }], sourceName);
+      });
+      return;
+    }
+
+    const pass = node.name === 'if' ? isTruthy(value) : !isTruthy(value);
+    if (pass) output += renderNodes(node.children, scopes, sourceName);
+    else if (node.inverse) output += renderNodes(node.inverse, scopes, sourceName);
+  });
+
+  return output;
+}
+
+/**
+ * Compile a template once so it can be rendered repeatedly
+ * @param {string} source - Template source text
+ * @param {string} [sourceName] - Template file name, for error messages
+ * @returns {function(object): string} Render function
+ */
+function compileTemplate(source, sourceName) {
+  const nodes = parse(tokenize(source, sourceName), sourceName);
+  return (context) => renderNodes(nodes, [{ value: context, data: null }], sourceName);
+}
+
+/**
+ * Render a template against a context object
+ * @param {string} source - Template source text
+ * @param {object} context - Values available to placeholders
+ * @param {string} [sourceName] - Template file name, for error messages
+ * @returns {string} Rendered text
+ */
+function renderTemplate(source, context, sourceName) {
+  return compileTemplate(source, sourceName)(context);
+}
+
+module.exports = {
+  TemplateError,
+  compileTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,449 @@
+/**
+ * Incremental Summary Updates
+ *
+ * Regenerating a summary keeps what the author (or an AI agent) wrote in the
+ * existing file. Both documents are split into sections at `#`, `##` and `###`
+ * headings, matched by heading path, and each section of the new summary is
+ * resolved as follows:
+ *
+ *   Generated sections     Rebuilt from the repository (Recent Commits, Commit Hygiene, Modified
+ *                          Files by Category, Scope, suggestions); `**Label**:` fields that were a
+ *                          placeholder, such as Priority, keep the author's value
+ *   Untouched sections     Taken from the new summary, with ticked checkboxes kept; a section
+ *                          is untouched when only its checkboxes changed, or when it still has
+ *                          every placeholder comment and only its generated lists are stale
+ *   Changes Made           Kept once any file is described, with stubs added for files it does
+ *                          not mention yet, untouched stubs refreshed, and untouched stubs of
+ *                          files that are no longer changed dropped
+ *   Filled-in sections     Kept as they are
+ *
+ * A kept section ends like the new one: the rule and blank lines between
+ * sections come from the new summary, as they move between sections when
+ * the PR type changes.
+ *
+ * Sections only the existing file has are kept where they were, unless they
+ * still contain a `TODO` marker or are the untouched boilerplate of another PR
+ * type, i.e. the generator added them and nobody filled them in. A title that
+ * still has a `[Placeholder]` of the template counts as untouched too, so it
+ * follows the PR type when that changes.
+ */
+
+const HEADING_PATTERN = /^(#{1,3})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const CHECKBOX_PATTERN = /^(\s*(?:[-*+]\s+)?)(\[[ xX]\]|☐|☑)(\s+)(.*)$/;
+const FIELD_PATTERN = /^\*\*([^*]+)\*\*:/;
+const PLACEHOLDER_PATTERN = /^(<!--[\s\S]*-->|\[[^\]]*\]|_[^_]+_)?$/;
+const STUB_PATTERN = /^\*\*`([^`]+)`\*\*/;
+const TODO_PATTERN = /<!--\s*TODO\b|^_TODO\b/im;
+// Comments, and the italic lines they become in the Bitbucket format
+const COMMENT_PATTERN = /<!--[\s\S]*?-->|^\s*_[^_\n]+_\s*$/gm;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MORE_PATTERN = /^_\.\.\./;
+const TITLE_PLACEHOLDER_PATTERN = /\[[^\]]+\]/g;
+
+// Sections rebuilt on every run, by normalized heading
+const GENERATED_SECTIONS = [
+  'recent commits',
+  'commit hygiene',
+  'modified files by category',
+  'generated suggestions',
+  'scope',
+];
+
+/**
+ * Normalize heading text for matching: no emoji, emphasis or case
+ * @param {string} text - Heading text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .replace(/[*_`]/g, '')
+    .replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9)]+$/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split a summary into sections at level 1-3 headings
+ * @param {string} text - Summary Markdown
+ * @returns {{key: string, title: string, heading: string|null, body: string[]}[]} Sections; the first one
+ *   holds what comes before the first heading, and `key` is the heading path, e.g. `testing > test matrix`
+ */
+function splitSections(text) {
+  const sections = [{ key: '', title: '', heading: null, body: [] }];
+  const parents = [];
+  const seen = new Map();
+  let inFence = false;
+
+  text.split('\n').forEach((line) => {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(HEADING_PATTERN);
+    if (!heading) {
+      sections[sections.length - 1].body.push(line);
+      return;
+    }
+
+    // The title is rewritten by the author, so it is matched by position
+    const level = heading[1].length;
+    parents.length = level - 1;
+    parents[level - 1] = level === 1 ? '#' : normalize(heading[2]);
+    const path = parents.filter(Boolean).join(' > ');
+    const count = (seen.get(path) || 0) + 1;
+    seen.set(path, count);
+    sections.push({ key: count > 1 ? `${path} #${count}` : path, title: heading[2], heading: line, body: [] });
+  });
+
+  return sections;
+}
+
+/**
+ * Lines of a section, heading included
+ * @param {{heading: string|null, body: string[]}} section - Section
+ * @returns {string[]} Lines
+ */
+function sectionLines(section) {
+  return section.heading === null ? section.body : [section.heading, ...section.body];
+}
+
+/**
+ * Index where the rule and blank lines that close a section start
+ * @param {string[]} lines - Section lines
+ * @returns {number} Index of the first trailing blank or rule line, or `lines.length`
+ */
+function trailerStart(lines) {
+  let end = lines.length;
+  while (end > 0 && (lines[end - 1].trim() === '' || RULE_PATTERN.test(lines[end - 1]))) end -= 1;
+  return end;
+}
+
+/**
+ * Check whether a section ends with a rule
+ * @param {string[]} lines - Section lines
+ * @returns {boolean} True if a rule follows the last content line
+ */
+function endsWithRule(lines) {
+  return lines.slice(trailerStart(lines)).some((line) => RULE_PATTERN.test(line));
+}
+
+/**
+ * Give a kept section the ending of the new one
+ * @param {string[]} lines - Kept lines
+ * @param {string[]} generated - Lines of the new section
+ * @returns {string[]} Kept lines with the new section's trailing rule and blank lines
+ */
+function withTrailer(lines, generated) {
+  return [...lines.slice(0, trailerStart(lines)), ...generated.slice(trailerStart(generated))];
+}
+
+/**
+ * Compare section bodies, ignoring checkbox state and surrounding whitespace
+ * @param {string[]} a - Body lines
+ * @param {string[]} b - Body lines
+ * @returns {boolean} True if they only differ in ticked checkboxes
+ */
+function sameContent(a, b) {
+  const untick = (lines) =>
+    lines
+      .map((line) => line.replace(CHECKBOX_PATTERN, '$1[ ]$3$4').trimEnd())
+      .join('\n')
+      .trim();
+  return untick(a) === untick(b);
+}
+
+/**
+ * Check whether a body has anything besides comments, blank lines and rules
+ * @param {string[]} body - Body lines
+ * @returns {boolean} True if there is content
+ */
+function hasContent(body) {
+  return body
+    .join('\n')
+    .replace(COMMENT_PATTERN, '')
+    .split('\n')
+    .some((line) => line.trim() !== '' && !RULE_PATTERN.test(line));
+}
+
+/**
+ * Tick the checkboxes that were ticked in the existing section
+ * @param {string[]} lines - New lines
+ * @param {string[]} previous - Existing lines
+ * @returns {string[]} New lines with ticks carried over
+ */
+function carryTicks(lines, previous) {
+  const ticked = new Set(
+    previous
+      .map((line) => line.match(CHECKBOX_PATTERN))
+      .filter((match) => match && /[xX☑]/.test(match[2]))
+      .map((match) => match[4].trim())
+  );
+
+  return lines.map((line) => {
+    const match = line.match(CHECKBOX_PATTERN);
+    if (!match || /[xX☑]/.test(match[2]) || !ticked.has(match[4].trim())) return line;
+    return `${match[1]}${match[2] === '☐' ? '☑' : '[x]'}${match[3]}${match[4]}`;
+  });
+}
+
+/**
+ * Keep the author's values of `**Label**:` fields the generator leaves as placeholders.
+ * Fields separated by ` | ` are handled one by one, as in the Metadata line.
+ * @param {string[]} lines - New lines
+ * @param {string[]} blank - The same lines before the summary was filled in
+ * @param {string[]} previous - Existing lines
+ * @returns {string[]} New lines with the author's values
+ */
+function keepAuthorFields(lines, blank, previous) {
+  const byLabel = (source) =>
+    new Map(
+      source.filter((line) => FIELD_PATTERN.test(line)).map((line) => [line.match(FIELD_PATTERN)[1], line.split(' | ')])
+    );
+  const blankFields = byLabel(blank);
+  const previousFields = byLabel(previous);
+  const split = (part) => part.match(/^(.*?):\s*(.*)$/) || [part, part, ''];
+
+  return lines.map((line) => {
+    const label = (line.match(FIELD_PATTERN) || [])[1];
+    const template = blankFields.get(label);
+    const existing = previousFields.get(label);
+    const parts = line.split(' | ');
+    if (!template || !existing || template.length !== parts.length || existing.length !== parts.length) return line;
+
+    return parts
+      .map((part, index) => {
+        const [, name, value] = split(template[index]);
+        const kept = existing[index];
+        return PLACEHOLDER_PATTERN.test(value.trim()) && split(kept)[1] === name ? kept : part;
+      })
+      .join(' | ');
+  });
+}
+
+/**
+ * Split a Changes Made body into the entries the generator writes: file stubs and list items
+ * @param {string[]} body - Body lines
+ * @returns {{heading: string|null, path: string, start: number, lines: string[], stub: boolean}[]} Entries;
+ *   `start` is the index of their first line
+ */
+function changeEntries(body) {
+  const entries = [];
+  let heading = null;
+  let current = null;
+
+  body.forEach((line, index) => {
+    const stub = line.match(STUB_PATTERN);
+    const paths = line.match(/`[^`]+`/g);
+    if (/^####\s/.test(line)) {
+      heading = line.trim();
+      current = null;
+    } else if (stub) {
+      current = { heading, path: stub[1], start: index, lines: [line], stub: true };
+      entries.push(current);
+    } else if (/^\s*[-*+]\s/.test(line) && paths && !current) {
+      // Renamed and deleted files: the last path is the file as it is now
+      const path = paths[paths.length - 1].slice(1, -1);
+      entries.push({ heading, path, start: index, lines: [line], stub: false });
+    } else if (MORE_PATTERN.test(line) || RULE_PATTERN.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  entries.forEach((entry) => {
+    while (entry.lines.length > 1 && entry.lines[entry.lines.length - 1].trim() === '') entry.lines.pop();
+  });
+  return entries;
+}
+
+/**
+ * Check whether the author wrote anything in a Changes Made body: a stub without its TODO
+ * marker, or text outside the generated entries
+ * @param {string[]} body - Body lines
+ * @returns {boolean} True if something was filled in
+ */
+function describesChanges(body) {
+  const entries = changeEntries(body);
+  if (entries.some((entry) => entry.stub && !TODO_PATTERN.test(entry.lines.join('\n')))) return true;
+
+  const generated = new Set(entries.flatMap((entry) => entry.lines.map((line, offset) => entry.start + offset)));
+  return body.some(
+    (line, index) => !generated.has(index) && !/^####\s/.test(line) && !MORE_PATTERN.test(line) && hasContent([line])
+  );
+}
+
+/**
+ * Bring the file entries of a filled-in Changes Made section up to date: add stubs for files it
+ * does not mention yet, under their category, refresh untouched stubs, and drop untouched stubs
+ * of files no longer changed
+ * @param {string[]} body - Existing body
+ * @param {string[]} generated - New body
+ * @param {string[]|null} files - Paths of all changed files, or null to drop nothing
+ * @returns {{body: string[], added: string[], dropped: string[]}} Updated body and the files added and dropped
+ */
+function updateChanges(body, generated, files) {
+  const lines = body.slice(0, trailerStart(body));
+
+  // Untouched stubs are replaced by their new version, so line counts stay current
+  const fresh = new Map(
+    changeEntries(generated)
+      .filter((entry) => entry.stub)
+      .map((entry) => [entry.path, entry])
+  );
+  changeEntries(lines)
+    .reverse()
+    .forEach((entry) => {
+      const update = fresh.get(entry.path);
+      if (entry.stub && update && TODO_PATTERN.test(entry.lines.join('\n'))) {
+        lines.splice(entry.start, entry.lines.length, ...update.lines);
+      }
+    });
+
+  const dropped = [];
+  if (files) {
+    const changed = new Set(files);
+    changeEntries(lines)
+      .reverse()
+      .forEach((entry) => {
+        if (changed.has(entry.path) || (entry.stub && !TODO_PATTERN.test(entry.lines.join('\n')))) return;
+        const blank = (lines[entry.start + entry.lines.length] || '').trim() === '' ? 1 : 0;
+        lines.splice(entry.start, entry.lines.length + blank);
+        dropped.unshift(entry.path);
+      });
+
+    // Categories left without files
+    for (let start = lines.length - 1; start >= 0; start -= 1) {
+      if (/^####\s/.test(lines[start])) {
+        let next = lines.findIndex((line, index) => index > start && /^####\s/.test(line));
+        if (next === -1) next = lines.length;
+        if (!hasContent(lines.slice(start + 1, next))) lines.splice(start, next - start);
+      }
+    }
+  }
+
+  const mentioned = new Set((lines.join('\n').match(/`[^`]+`/g) || []).map((span) => span.slice(1, -1)));
+  const missing = changeEntries(generated).filter((entry) => !mentioned.has(entry.path));
+
+  missing.forEach((entry) => {
+    const start = entry.heading ? lines.findIndex((line) => line.trim() === entry.heading) : -1;
+    if (start === -1) {
+      lines.push('', ...(entry.heading ? [entry.heading, ''] : []), ...entry.lines);
+      return;
+    }
+
+    // After the category's last entry, above its comments and "...and N more files"
+    let next = lines.findIndex((line, index) => index > start && /^####\s/.test(line));
+    if (next === -1) next = lines.length;
+    let at = start;
+    for (let index = start + 1; index < next; index += 1) {
+      if (lines[index].trim() !== '' && hasContent([lines[index]]) && !MORE_PATTERN.test(lines[index])) at = index;
+    }
+    lines.splice(at + 1, 0, ...(entry.stub ? ['', ...entry.lines] : entry.lines));
+  });
+
+  return {
+    body: withTrailer(lines, generated),
+    added: missing.map((entry) => entry.path),
+    dropped,
+  };
+}
+
+/**
+ * Check whether the author left a section as it was generated
+ * @param {object} previous - Existing section
+ * @param {object} template - The same section of the new summary, before it was filled in
+ * @returns {boolean} True if the section can be replaced
+ */
+function isUntouched(previous, template) {
+  // `# 🐛 Fix: [Brief Description]` was never written, even if the type is now Feature
+  const placeholders = template.title.match(TITLE_PLACEHOLDER_PATTERN) || [];
+  const unwritten =
+    placeholders.length > 0 && placeholders.every((placeholder) => previous.title.includes(placeholder));
+  if (!unwritten && normalize(previous.title) !== normalize(template.title)) return false;
+  if (sameContent(previous.body, template.body) || !hasContent(previous.body)) return true;
+
+  // Generated lists change between runs; the placeholders around them show whether anything was filled in
+  const count = (lines) =>
+    (lines.join('\n').match(COMMENT_PATTERN) || []).reduce(
+      (counts, placeholder) => counts.set(placeholder, (counts.get(placeholder) || 0) + 1),
+      new Map()
+    );
+  const expected = count(template.body);
+  const found = count(previous.body);
+  return expected.size > 0 && [...expected].every(([placeholder, times]) => (found.get(placeholder) || 0) >= times);
+}
+
+/**
+ * Update an existing summary with a newly generated one, keeping what was filled in
+ * @param {string} existing - Summary on disk
+ * @param {string} generated - New summary
+ * @param {object} [options] - Options
+ * @param {string} [options.blank] - New summary before it was filled in by an LLM; defaults to `generated`
+ * @param {string[]} [options.files] - Paths of all changed files; untouched Changes Made stubs of other files
+ *   are dropped
+ * @param {string[]} [options.alternatives] - Blank summaries of the other PR types; sections only the existing
+ *   file has are dropped when they are untouched boilerplate of one of them, such as a Fix's Root Cause
+ * @returns {{text: string, kept: string[], added: string[], dropped: string[]}} Updated summary, the titles of
+ *   the sections that were kept, and the files added to and dropped from Changes Made
+ */
+function updateSummary(existing, generated, { blank = generated, files = null, alternatives = [] } = {}) {
+  const previous = splitSections(existing);
+  const previousByKey = new Map(previous.map((section) => [section.key, section]));
+  const blankByKey = new Map(splitSections(blank).map((section) => [section.key, section]));
+  const alternativesByKey = alternatives.map(
+    (text) => new Map(splitSections(text).map((section) => [section.key, section]))
+  );
+  const kept = [];
+  let changes = { added: [], dropped: [] };
+
+  const result = splitSections(generated).map((section) => {
+    const old = previousByKey.get(section.key);
+    const template = blankByKey.get(section.key) || section;
+    const lines = sectionLines(section);
+    const name = section.key.split(' > ').pop();
+    if (!old) return { key: section.key, lines };
+
+    if (GENERATED_SECTIONS.includes(name)) {
+      return { key: section.key, lines: keepAuthorFields(lines, sectionLines(template), sectionLines(old)) };
+    }
+    if (isUntouched(old, template) || (name === 'changes made' && !describesChanges(old.body))) {
+      return { key: section.key, lines: carryTicks(lines, sectionLines(old)) };
+    }
+
+    kept.push(old.title);
+    if (name === 'changes made') {
+      changes = updateChanges(old.body, section.body, files);
+      return { key: section.key, lines: [old.heading, ...changes.body] };
+    }
+    return { key: section.key, lines: withTrailer(sectionLines(old), lines) };
+  });
+
+  // Sections the author added stay below the section they followed
+  previous.forEach((section, index) => {
+    if (result.some((entry) => entry.key === section.key) || TODO_PATTERN.test(section.body.join('\n'))) return;
+    // Only an exact match: placeholders left around a filled-in answer must not lose it
+    const boilerplate = alternativesByKey.some(
+      (byKey) => byKey.has(section.key) && sameContent(section.body, byKey.get(section.key).body)
+    );
+    if (boilerplate) return;
+    let position = -1;
+    for (let before = index - 1; before >= 0 && position === -1; before -= 1) {
+      position = result.findIndex((entry) => entry.key === previous[before].key);
+    }
+    const lines = sectionLines(section);
+    // A rule closing both this section and the one it follows moves below this one, as in the old summary
+    if (position >= 0 && endsWithRule(result[position].lines) && endsWithRule(lines)) {
+      result[position].lines = withTrailer(result[position].lines, ['']);
+    }
+    result.splice(position + 1, 0, { key: section.key, lines });
+    kept.push(section.title);
+  });
+
+  const text = result
+    .filter((entry) => entry.lines.length > 0)
+    .map((entry) => entry.lines.join('\n'))
+    .join('\n');
+  return { text, kept, added: changes.added, dropped: changes.dropped };
+}
+
+module.exports = {
+  updateSummary,
+};
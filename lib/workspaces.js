@@ -0,0 +1,157 @@
+/**
+ * Workspace Detection
+ *
+ * Finds the packages of an npm, yarn, pnpm or lerna monorepo and maps changed
+ * files to the package that owns them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+/**
+ * Read and parse a JSON file, returning null if it is missing or invalid
+ * @param {string} file - Absolute path
+ * @returns {object|null} Parsed JSON
+ */
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the `packages` list of a pnpm-workspace.yaml file.
+ * Only the flat list form is supported, which is what pnpm documents.
+ * @param {string} file - Absolute path
+ * @returns {string[]} Workspace globs
+ */
+function readPnpmWorkspace(file) {
+  if (!fs.existsSync(file)) return [];
+
+  const patterns = [];
+  let inPackages = false;
+
+  fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(line)) {
+        patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, ''));
+      } else if (inPackages && /^\S/.test(line)) {
+        inPackages = false;
+      }
+    });
+
+  return patterns;
+}
+
+/**
+ * Collect workspace globs from every supported manifest
+ * @param {string} root - Repository root
+ * @returns {{patterns: string[], sources: string[]}} Globs and the files they came from
+ */
+function readWorkspacePatterns(root) {
+  const patterns = [];
+  const sources = [];
+
+  const pkg = readJSON(path.join(root, 'package.json'));
+  const npmWorkspaces = pkg && (Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces && pkg.workspaces.packages);
+  if (Array.isArray(npmWorkspaces) && npmWorkspaces.length > 0) {
+    patterns.push(...npmWorkspaces);
+    sources.push('package.json');
+  }
+
+  const pnpmWorkspaces = readPnpmWorkspace(path.join(root, 'pnpm-workspace.yaml'));
+  if (pnpmWorkspaces.length > 0) {
+    patterns.push(...pnpmWorkspaces);
+    sources.push('pnpm-workspace.yaml');
+  }
+
+  const lerna = readJSON(path.join(root, 'lerna.json'));
+  if (lerna && Array.isArray(lerna.packages)) {
+    patterns.push(...lerna.packages);
+    sources.push('lerna.json');
+  }
+
+  return { patterns, sources };
+}
+
+/**
+ * Detect workspace packages
+ * @param {string} root - Repository root
+ * @param {string[]} trackedFiles - Repository-relative paths of tracked files
+ * @returns {{name: string, dir: string, dependencies: string[]}[]} Packages, or an empty array outside a monorepo
+ */
+function detectWorkspaces(root, trackedFiles) {
+  const { patterns } = readWorkspacePatterns(root);
+  if (patterns.length === 0) return [];
+
+  const toRegExp = (pattern) => globToRegExp(`/${pattern.replace(/^\.?\//, '').replace(/\/$/, '')}`, { exact: true });
+  const include = patterns.filter((p) => !p.startsWith('!')).map(toRegExp);
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => toRegExp(p.slice(1)));
+
+  return trackedFiles
+    .filter((file) => file.endsWith('/package.json') && !file.includes('node_modules/'))
+    .map((file) => path.posix.dirname(file))
+    .filter((dir) => include.some((regex) => regex.test(dir)) && !exclude.some((regex) => regex.test(dir)))
+    .map((dir) => {
+      const manifest = readJSON(path.join(root, dir, 'package.json')) || {};
+      return {
+        name: manifest.name || dir,
+        dir,
+        dependencies: Object.keys({
+          ...manifest.dependencies,
+          ...manifest.devDependencies,
+          ...manifest.peerDependencies,
+          ...manifest.optionalDependencies,
+        }),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the package that owns a file (the deepest package directory containing it)
+ * @param {string} file - Repository-relative path
+ * @param {object[]} packages - Packages from detectWorkspaces()
+ * @returns {object|null} Owning package, or null for files outside every package
+ */
+function findPackage(file, packages) {
+  return packages
+    .filter((pkg) => file.startsWith(`${pkg.dir}/`))
+    .reduce((best, pkg) => (!best || pkg.dir.length > best.dir.length ? pkg : best), null);
+}
+
+/**
+ * Find packages that depend on the given ones, directly or transitively
+ * @param {string[]} names - Names of changed packages
+ * @param {object[]} packages - Packages from detectWorkspaces()
+ * @returns {string[]} Names of dependent packages, not including `names`
+ */
+function findDependents(names, packages) {
+  const affected = new Set(names);
+  let grew = true;
+
+  while (grew) {
+    grew = false;
+    packages.forEach((pkg) => {
+      if (!affected.has(pkg.name) && pkg.dependencies.some((dep) => affected.has(dep))) {
+        affected.add(pkg.name);
+        grew = true;
+      }
+    });
+  }
+
+  return [...affected].filter((name) => !names.includes(name)).sort();
+}
+
+module.exports = {
+  detectWorkspaces,
+  findDependents,
+  findPackage,
+  readWorkspacePatterns,
+};
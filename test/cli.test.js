@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { CliError, parseArgs } = require('../lib/cli');
+
+const spec = {
+  output: { type: 'string', alias: 'o' },
+  color: { type: 'boolean', default: true },
+};
+
+test('parseArgs reads values, aliases and negated flags', () => {
+  assert.deepStrictEqual(parseArgs(['main', '-o', 'PR.md', '--no-color'], spec), {
+    options: { output: 'PR.md', color: false },
+    positionals: ['main'],
+  });
+});
+
+test('parseArgs rejects option names inherited from Object', () => {
+  ['--constructor', '--toString', '--__proto__', '--no-constructor', '-constructor'].forEach((flag) => {
+    assert.throws(
+      () => parseArgs([flag], spec),
+      (error) => error instanceof CliError && /Unknown option/.test(error.message)
+    );
+  });
+});
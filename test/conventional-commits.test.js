@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { parseCommitMessage } = require('../lib/conventional-commits');
+
+test('parseCommitMessage reads type, scope and breaking marker', () => {
+  const commit = parseCommitMessage('feat(ui)!: add button');
+  assert.strictEqual(commit.type, 'feat');
+  assert.strictEqual(commit.scope, 'ui');
+  assert.strictEqual(commit.description, 'add button');
+  assert.deepStrictEqual(commit.breakingNotes, ['add button']);
+});
+
+test('parseCommitMessage keeps the body apart from footers', () => {
+  const commit = parseCommitMessage('fix: crash\n\nThe parser crashed.\nNow it does not.\n\nFixes #12\nRefs: #3');
+  assert.strictEqual(commit.body, 'The parser crashed.\nNow it does not.');
+  assert.deepStrictEqual(commit.references, [
+    { action: 'closes', issue: '#12' },
+    { action: 'related', issue: '#3' },
+  ]);
+});
+
+test('parseCommitMessage reads footers spread over several paragraphs', () => {
+  const commit = parseCommitMessage(
+    'feat(ui)!: add button\n\nSome context.\n\nBREAKING CHANGE: button API changed\n\nCloses #45\n'
+  );
+  assert.strictEqual(commit.body, 'Some context.');
+  assert.deepStrictEqual(commit.breakingNotes, ['button API changed']);
+  assert.deepStrictEqual(commit.references, [{ action: 'closes', issue: '#45' }]);
+});
+
+test('parseCommitMessage treats a last paragraph without a token as body', () => {
+  const commit = parseCommitMessage('fix: crash\n\nCloses #1\n\nMore details here.');
+  assert.strictEqual(commit.body, 'Closes #1\n\nMore details here.');
+  assert.deepStrictEqual(commit.footers, []);
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { pairTests } = require('../lib/coverage');
+
+const PATTERNS = ['{dir}/{name}.test.{ext}'];
+const change = (filePath, status = 'M', added = 1, removed = 1) => ({ path: filePath, status, added, removed });
+
+test('pairTests reports changed sources whose tests did or did not change', () => {
+  const pairs = pairTests({
+    changes: [change('src/a.js'), change('src/a.test.js'), change('src/b.js'), change('src/c.js')],
+    trackedFiles: ['src/a.js', 'src/a.test.js', 'src/b.js', 'src/b.test.js', 'src/c.js'],
+    patterns: PATTERNS,
+  });
+  assert.deepStrictEqual(pairs, [
+    { file: 'src/a.js', status: 'tested', tests: ['src/a.test.js'] },
+    { file: 'src/b.js', status: 'stale', tests: ['src/b.test.js'] },
+    { file: 'src/c.js', status: 'missing', tests: [] },
+  ]);
+});
+
+test('pairTests skips deletions and renames without line changes', () => {
+  const pairs = pairTests({
+    changes: [change('src/old.js', 'D', 0, 10), change('lib/moved.js', 'R', 0, 0), change('lib/edited.js', 'R', 2, 1)],
+    trackedFiles: ['lib/moved.js', 'lib/edited.js'],
+    patterns: PATTERNS,
+  });
+  assert.deepStrictEqual(
+    pairs.map((pair) => pair.file),
+    ['lib/edited.js']
+  );
+});
+
+test('pairTests does not count deleted or merely renamed tests as updated', () => {
+  const pairs = pairTests({
+    changes: [
+      change('src/a.js'),
+      change('src/a.test.js', 'D', 0, 5),
+      change('src/b.js'),
+      change('src/b.test.js', 'R', 0, 0),
+    ],
+    trackedFiles: ['src/a.js', 'src/b.js', 'src/b.test.js'],
+    patterns: PATTERNS,
+  });
+  assert.deepStrictEqual(pairs, [
+    { file: 'src/a.js', status: 'missing', tests: [] },
+    { file: 'src/b.js', status: 'stale', tests: ['src/b.test.js'] },
+  ]);
+});
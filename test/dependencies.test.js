@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { findLockfileOnlyChanges } = require('../lib/dependencies');
+const { createRepo } = require('./repo');
+
+test('findLockfileOnlyChanges flags a lockfile whose manifest changed no dependency', () => {
+  assert.deepStrictEqual(findLockfileOnlyChanges(['package.json', 'yarn.lock'], []), [
+    { file: 'yarn.lock', manifest: 'package.json' },
+  ]);
+  assert.deepStrictEqual(findLockfileOnlyChanges(['package.json', 'yarn.lock'], ['package.json']), []);
+});
+
+test('a lockfile next to a version bump is reported as changed without a dependency change', () => {
+  const manifest = (version) => `${JSON.stringify({ name: 'app', version, dependencies: { zod: '^3.22.4' } })}\n`;
+  const repo = createRepo({ 'package.json': manifest('1.0.0'), 'yarn.lock': 'zod@3.22.4\n' });
+  try {
+    repo.git('checkout', '-q', '-b', 'chore/release');
+    repo.commit('chore: release 1.1.0', { 'package.json': manifest('1.1.0'), 'yarn.lock': 'zod@3.22.5\n' });
+    const result = repo.run('main', '--stdout');
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes('`yarn.lock` changed without a dependency change in `package.json`'));
+  } finally {
+    repo.remove();
+  }
+});
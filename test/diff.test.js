@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { buildCodeContext, splitDiff } = require('../lib/diff');
+
+const DIFF = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -1,2 +1,3 @@ function start() {',
+  ' const a = 1;',
+  '+function stop() {}',
+  ' const b = 2;',
+  'diff --git a/package-lock.json b/package-lock.json',
+  '--- a/package-lock.json',
+  '+++ b/package-lock.json',
+  '@@ -1 +1 @@',
+  '-{}',
+  '+{ }',
+].join('\n');
+
+const files = (diff) =>
+  splitDiff(diff).map((chunk) => ({ path: chunk.path, label: 'Modified', added: 1, removed: 0, diff: chunk.text }));
+
+test('splitDiff splits a diff per file', () => {
+  assert.deepStrictEqual(
+    splitDiff(DIFF).map((chunk) => chunk.path),
+    ['src/app.js', 'package-lock.json']
+  );
+});
+
+test('buildCodeContext includes whole hunks that fit and skips generated files', () => {
+  const context = buildCodeContext(files(DIFF), { budget: 1000 });
+  assert.strictEqual(context.files.length, 1);
+  assert.strictEqual(context.files[0].mode, 'full');
+  assert.deepStrictEqual(context.files[0].symbols, ['start', 'stop']);
+  assert.deepStrictEqual(context.skipped, [{ path: 'package-lock.json', reason: 'generated' }]);
+});
+
+test('buildCodeContext only lists files once the budget is spent', () => {
+  const context = buildCodeContext(files(DIFF), { budget: 1 });
+  assert.strictEqual(context.files[0].mode, 'listed');
+  assert.strictEqual(context.used, 0);
+});
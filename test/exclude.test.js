@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { compileExcludes, isExcluded } = require('../lib/exclude');
+
+const excluded = (patterns, files) => files.filter((file) => isExcluded(file, compileExcludes(patterns)));
+
+test('a slash-wrapped pattern without flags is the gitignore glob for a root folder', () => {
+  assert.deepStrictEqual(
+    excluded(['/dist/'], ['dist/app.js', 'dist/css/app.css', 'src/distance.js', 'lib/odist.ts', 'src/dist/x.js']),
+    ['dist/app.js', 'dist/css/app.css']
+  );
+});
+
+test('regex patterns need ^, $, the re: prefix or a flag', () => {
+  const files = ['.vscode/settings.json', 'app.log', 'src/snapshots/a.snap', 'src/Snapshot.js', 'src/app.js'];
+  assert.deepStrictEqual(excluded(['^\\.vscode/'], files), ['.vscode/settings.json']);
+  assert.deepStrictEqual(excluded(['\\.log$'], files), ['app.log']);
+  assert.deepStrictEqual(excluded(['re:snapshots?/'], files), ['src/snapshots/a.snap']);
+  assert.deepStrictEqual(excluded(['/snapshots?/i'], files), ['src/snapshots/a.snap', 'src/Snapshot.js']);
+});
+
+test('the last matching pattern wins, and ! re-includes', () => {
+  assert.deepStrictEqual(excluded(['dist/', '!dist/keep.js'], ['dist/a.js', 'dist/keep.js']), ['dist/a.js']);
+});
+
+test('invalid regex patterns name the pattern', () => {
+  assert.throws(() => compileExcludes(['re:(']), /Invalid exclude pattern "re:\("/);
+});
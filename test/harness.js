@@ -0,0 +1,57 @@
+/**
+ * Test Harness
+ *
+ * A minimal `test(name, fn)` registry so the suite runs on every supported
+ * Node version without dependencies. Cases run one after another in the order
+ * they were registered; `fn` may return a promise. Assertions use Node's
+ * `assert` module.
+ */
+
+const path = require('path');
+
+const cases = [];
+let currentFile = null;
+
+/**
+ * Register a test case
+ * @param {string} name - What the case checks
+ * @param {function(): (void|Promise<void>)} fn - Case body; throws or rejects on failure
+ */
+function test(name, fn) {
+  cases.push({ file: currentFile, name, fn });
+}
+
+/**
+ * Load test files and run their cases
+ * @param {string[]} files - Absolute paths of test files
+ * @returns {Promise<{passed: number, failed: number}>} Counts
+ */
+async function run(files) {
+  files.forEach((file) => {
+    currentFile = path.basename(file);
+    require(file); // eslint-disable-line global-require, import/no-dynamic-require
+  });
+  currentFile = null;
+
+  let passed = 0;
+  let failed = 0;
+  for (const testCase of cases) {
+    const label = `${testCase.file} › ${testCase.name}`;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await testCase.fn();
+      passed += 1;
+      console.log(`  ✓ ${label}`);
+    } catch (error) {
+      failed += 1;
+      console.log(`  ✗ ${label}`);
+      console.log(`${(error && error.stack) || error}`.replace(/^/gm, '      '));
+    }
+  }
+  return { passed, failed };
+}
+
+module.exports = {
+  run,
+  test,
+};
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { analyzeHygiene } = require('../lib/hygiene');
+
+const commit = (hash, subject, fields = {}) => ({
+  hash,
+  subject,
+  body: '',
+  parents: ['p'],
+  fromBase: false,
+  added: 1,
+  removed: 0,
+  categories: [],
+  ...fields,
+});
+
+test('analyzeHygiene drops merges from the base and keeps other merges', () => {
+  const { problems, plan } = analyzeHygiene(
+    [
+      commit('c3', 'Merge branch side', { parents: ['c2', 's1'] }),
+      commit('c2', "Merge branch 'main'", { parents: ['c1', 'm1'], fromBase: true }),
+      commit('c1', 'feat: add button'),
+    ],
+    { base: 'main' }
+  );
+  assert.deepStrictEqual(
+    problems.map((p) => [p.hash, p.rule]),
+    [['c2', 'merge-from-base']]
+  );
+  assert.deepStrictEqual(
+    plan.map((step) => [step.action, step.hash]),
+    [
+      ['pick', 'c1'],
+      ['drop', 'c2'],
+      ['pick', 'c3'],
+    ]
+  );
+});
+
+test('analyzeHygiene does not count tests and docs as unrelated categories', () => {
+  const categories = ['components', 'hooks', 'tests', 'docs'];
+  const { problems } = analyzeHygiene([commit('c1', 'feat: add button', { categories })], {
+    ignoreCategories: ['tests', 'docs'],
+  });
+  assert.deepStrictEqual(problems, []);
+});
+
+test('analyzeHygiene flags commits touching four categories by default', () => {
+  const categories = ['components', 'styles', 'scripts', 'config'];
+  const { problems, plan } = analyzeHygiene([commit('c1', 'chore: everything', { categories })]);
+  assert.deepStrictEqual(
+    problems.map((p) => p.rule),
+    ['mixed-categories']
+  );
+  assert.strictEqual(plan[0].action, 'edit');
+  assert.deepStrictEqual(
+    analyzeHygiene([commit('c1', 'chore: some', { categories: categories.slice(1) })]).problems,
+    []
+  );
+});
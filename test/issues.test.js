@@ -0,0 +1,27 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createRepo } = require('./repo');
+
+function analyzeBranch(branch) {
+  const repo = createRepo({ 'src/login.js': 'module.exports = 1;\n' });
+  try {
+    repo.git('checkout', '-q', '-b', branch);
+    repo.commit('fix: keep the session on login', { 'src/login.js': 'module.exports = 2;\n' });
+    const result = repo.run('analyze', 'main', '--format', 'json');
+    assert.strictEqual(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout).issues;
+  } finally {
+    repo.remove();
+  }
+}
+
+test('a dated branch name does not name an issue', () => {
+  assert.deepStrictEqual(analyzeBranch('hotfix/2024-05-01-login'), []);
+});
+
+test('a number after the type prefix is a related issue by default', () => {
+  assert.deepStrictEqual(
+    analyzeBranch('fix/45-login').map((issue) => [issue.id, issue.action, issue.source]),
+    [['#45', 'related', 'branch']]
+  );
+});
@@ -0,0 +1,171 @@
+const assert = require('assert');
+const http = require('http');
+const { test } = require('./harness');
+const { LlmError, buildChatRequest, sendChatRequest, unfence } = require('../lib/llm');
+
+/**
+ * Start a stub chat server that answers each request with the next handler
+ * @param {function(http.IncomingMessage, http.ServerResponse): void} handlers - One per expected request
+ * @returns {Promise<{request: object, requests: object[], close: function(): Promise<void>}>} A request for the
+ *   server, the bodies it received and a way to stop it
+ */
+function stubServer(...handlers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const handler = handlers[Math.min(requests.length, handlers.length) - 1];
+      handler(req, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const request = buildChatRequest({
+        endpoint: `http://127.0.0.1:${server.address().port}/v1/`,
+        model: 'stub',
+        messages: [{ role: 'user', content: 'Fill this in' }],
+        apiKey: 'secret',
+      });
+      resolve({
+        request,
+        requests,
+        close: () =>
+          new Promise((done) => {
+            // Trickling responses keep connections open
+            if (server.closeAllConnections) server.closeAllConnections();
+            server.close(() => done());
+          }),
+      });
+    });
+  });
+}
+
+const reply = (content) => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+};
+
+const fail = (status, body) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body);
+};
+
+test('buildChatRequest targets /chat/completions with a bearer token', () => {
+  const request = buildChatRequest({ endpoint: 'http://host/v1/', model: 'm', messages: [], apiKey: 'k' });
+  assert.strictEqual(request.url, 'http://host/v1/chat/completions');
+  assert.strictEqual(request.headers.Authorization, 'Bearer k');
+  assert.deepStrictEqual(request.body, { model: 'm', messages: [], stream: false });
+});
+
+test('sendChatRequest returns the assistant message', async () => {
+  const server = await stubServer(reply('# Filled'));
+  try {
+    assert.strictEqual(await sendChatRequest(server.request), '# Filled');
+    assert.strictEqual(server.requests[0].model, 'stub');
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendChatRequest retries 5xx and 429 responses with backoff', async () => {
+  const server = await stubServer(fail(503, '{"error":"loading"}'), fail(429, 'slow down'), reply('done'));
+  const retries = [];
+  try {
+    const content = await sendChatRequest(server.request, {
+      retries: 2,
+      backoff: 5,
+      onRetry: (error, attempt, delay) => retries.push([error.status, attempt, delay]),
+    });
+    assert.strictEqual(content, 'done');
+    assert.deepStrictEqual(retries, [
+      [503, 1, 5],
+      [429, 2, 10],
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendChatRequest gives up after the last retry', async () => {
+  const server = await stubServer(fail(500, '{"error":{"message":"boom"}}'));
+  try {
+    await assert.rejects(sendChatRequest(server.request, { retries: 1, backoff: 1 }), (error) => {
+      assert.ok(error instanceof LlmError);
+      assert.strictEqual(error.message, 'HTTP 500: boom');
+      return true;
+    });
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendChatRequest fails 4xx responses without retrying', async () => {
+  const server = await stubServer(fail(401, '{"error":{"message":"bad key"}}'));
+  try {
+    await assert.rejects(sendChatRequest(server.request, { retries: 2, backoff: 1 }), {
+      name: 'LlmError',
+      message: 'HTTP 401: bad key',
+      status: 401,
+      retryable: false,
+    });
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendChatRequest rejects replies without content', async () => {
+  const server = await stubServer(reply('  '));
+  try {
+    await assert.rejects(sendChatRequest(server.request, { retries: 0 }), {
+      message: 'Response has no message content',
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendChatRequest times out a server that trickles its response', async () => {
+  const server = await stubServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    const interval = setInterval(() => res.write(' '), 20);
+    res.on('close', () => clearInterval(interval));
+  });
+  try {
+    const started = Date.now();
+    await assert.rejects(sendChatRequest(server.request, { timeout: 200, retries: 0 }), (error) => {
+      assert.ok(error instanceof LlmError);
+      assert.ok(error.retryable);
+      assert.match(error.message, /^No response from 127\.0\.0\.1:\d+ within/);
+      return true;
+    });
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sendChatRequest reports unreachable endpoints', async () => {
+  const server = await stubServer(reply('unused'));
+  await server.close();
+  await assert.rejects(sendChatRequest(server.request, { retries: 0 }), (error) => {
+    assert.ok(error instanceof LlmError);
+    assert.ok(error.retryable);
+    return true;
+  });
+});
+
+test('unfence unwraps a reply that is one code fence', () => {
+  assert.strictEqual(unfence('```markdown\n# Title\n\nBody\n```'), '# Title\n\nBody\n');
+  assert.strictEqual(unfence('````md\n# Title\n```js\ncode\n```\n````\n'), '# Title\n```js\ncode\n```\n');
+});
+
+test('unfence leaves other replies alone', () => {
+  assert.strictEqual(unfence('# Title\n\n```js\ncode\n```'), '# Title\n\n```js\ncode\n```\n');
+});
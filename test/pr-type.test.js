@@ -0,0 +1,27 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createRepo } = require('./repo');
+
+function detectType(subjects) {
+  const repo = createRepo({ 'README.md': '# App\n' });
+  try {
+    repo.git('checkout', '-q', '-b', 'feature/login');
+    subjects.forEach((subject, index) => repo.commit(subject, { [`src/file${index}.js`]: `${index}\n` }));
+    const result = repo.run('analyze', 'main', '--format', 'json');
+    assert.strictEqual(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout).type;
+  } finally {
+    repo.remove();
+  }
+}
+
+test('a breaking feature outweighs a fix and a docs change', () => {
+  assert.strictEqual(
+    detectType(['feat!: drop the v1 login', 'fix: keep the session', 'docs: explain login']),
+    'Feature'
+  );
+});
+
+test('a tie between a feature and a fix goes to Feature', () => {
+  assert.strictEqual(detectType(['fix: keep the session', 'feat: add remember me']), 'Feature');
+});
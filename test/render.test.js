@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { renderSummary, stripEmoji } = require('../lib/render');
+
+const summary = [
+  '## 📁 Changes Made',
+  '',
+  '<details>',
+  '<summary><b>Source</b> (12)</summary>',
+  '- `src/a.js`',
+  '</details>',
+  '',
+  '/close #45',
+  '- [ ] ✅ Tests pass',
+  '<!-- TODO: Add notes -->',
+  '',
+  '```js',
+  "log('🚀 /deploy');",
+  '```',
+].join('\n');
+
+test('renderSummary sets <details> content apart and escapes quick actions for GitLab', () => {
+  assert.strictEqual(
+    renderSummary(summary, 'gitlab'),
+    [
+      '## 📁 Changes Made',
+      '',
+      '<details>',
+      '<summary><b>Source</b> (12)</summary>',
+      '',
+      '- `src/a.js`',
+      '',
+      '</details>',
+      '',
+      '\\/close #45',
+      '- [ ] ✅ Tests pass',
+      '<!-- TODO: Add notes -->',
+      '',
+      '```js',
+      "log('🚀 /deploy');",
+      '```',
+    ].join('\n')
+  );
+});
+
+test('renderSummary leaves GitHub Markdown as rendered', () => {
+  assert.strictEqual(renderSummary(summary, 'github'), summary);
+});
+
+test('stripEmoji keeps fenced code and text symbols', () => {
+  assert.strictEqual(
+    stripEmoji(['## ⚠️ Risk © 2024 Acme™', '- ♻️ Refactor 👩‍💻', '```', '🚀 deploy', '```'].join('\n')),
+    ['## Risk © 2024 Acme™', '- Refactor', '```', '🚀 deploy', '```'].join('\n')
+  );
+});
+
+test('renderSummary removes emoji only when emoji is false', () => {
+  assert.ok(renderSummary('## 🐛 Fix', 'markdown').includes('🐛'));
+  assert.strictEqual(renderSummary('## 🐛 Fix', 'markdown', { emoji: false }), '## Fix');
+});
@@ -0,0 +1,66 @@
+/**
+ * Scratch Repositories
+ *
+ * Creates throwaway git repositories in the temp directory and runs the CLI
+ * in them, for tests of behavior that depends on real history.
+ */
+
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'pr-summary.js');
+
+// Fixed identity and no user configuration, so results do not depend on the machine
+const ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_CONFIG_NOSYSTEM: '1',
+  NO_COLOR: '1',
+};
+
+/**
+ * Create a repository with one commit on `main`
+ * @param {object<string, string>} files - Contents of the first commit, by path
+ * @returns {{dir: string, git: function(...string): string, write: function(object): void,
+ *   commit: function(string, object=): void, run: function(...string): {status: number, stdout: string, stderr: string},
+ *   remove: function(): void}} Helpers bound to the repository
+ */
+function createRepo(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-summary-'));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, env: ENV, encoding: 'utf8' }).trim();
+  const write = (contents) =>
+    Object.keys(contents).forEach((file) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), contents[file]);
+    });
+  const commit = (message, contents = {}) => {
+    write(contents);
+    git('add', '-A');
+    git('commit', '-q', '--allow-empty', '-m', message);
+  };
+
+  git('init', '-q');
+  git('checkout', '-q', '-b', 'main');
+  commit('chore: initial commit', files);
+
+  return {
+    dir,
+    git,
+    write,
+    commit,
+    run: (...args) => {
+      const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, env: ENV, encoding: 'utf8' });
+      return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+    },
+    remove: () => (fs.rmSync || fs.rmdirSync)(dir, { recursive: true, force: true }),
+  };
+}
+
+module.exports = {
+  createRepo,
+};
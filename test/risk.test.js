@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { scoreRisk } = require('../lib/risk');
+
+const config = {
+  medium: 1,
+  high: 3,
+  factors: {
+    testRatio: { weight: 1, ratio: 0.2, minLines: 10 },
+    newDependencies: { weight: 1 },
+    churn: { weight: 1, days: 30, commits: 5 },
+  },
+};
+
+const signals = {
+  testFiles: new Set(['packages/api/src/user.test.js']),
+  newDependencies: [{ name: 'zod', file: 'packages/api/package.json' }],
+  churn: new Map([['packages/api/src/user.js', 9]]),
+};
+
+test('scoreRisk only counts the signals for the scored changes', () => {
+  const change = (path, added) => ({ path, added, removed: 0 });
+  const api = scoreRisk(
+    {
+      changes: [
+        change('packages/api/src/user.js', 40),
+        change('packages/api/src/user.test.js', 20),
+        change('packages/api/package.json', 1),
+      ],
+      ...signals,
+    },
+    config
+  );
+  const web = scoreRisk({ changes: [change('packages/web/src/page.js', 40)], ...signals }, config);
+
+  assert.deepStrictEqual(
+    api.factors.map((factor) => [factor.id, factor.points]),
+    [
+      ['testRatio', 0],
+      ['newDependencies', 1],
+      ['churn', 1],
+    ]
+  );
+  assert.deepStrictEqual(
+    web.factors.map((factor) => [factor.id, factor.points]),
+    [
+      ['testRatio', 1],
+      ['newDependencies', 0],
+      ['churn', 0],
+    ]
+  );
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Runs every `*.test.js` file in this directory, or the files given as
+ * arguments, and exits with 1 when a case fails.
+ *
+ * Usage:
+ *   node test/run.js
+ *   node test/run.js test/template.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./harness');
+
+const files =
+  process.argv.length > 2
+    ? process.argv.slice(2).map((file) => path.resolve(file))
+    : fs
+        .readdirSync(__dirname)
+        .filter((file) => file.endsWith('.test.js'))
+        .sort()
+        .map((file) => path.join(__dirname, file));
+
+run(files).then(
+  ({ passed, failed }) => {
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  },
+  (error) => {
+    console.error(error);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { findStack } = require('../lib/stack');
+
+// Commits reachable from each branch: main ← api ← ui ← docs, with spike on main
+const history = {
+  main: ['m1', 'm2'],
+  api: ['m1', 'm2', 'a1', 'a2'],
+  ui: ['m1', 'm2', 'a1', 'a2', 'u1'],
+  docs: ['m1', 'm2', 'a1', 'a2', 'u1', 'd1'],
+  spike: ['m1', 's1'],
+};
+
+function countingMeasure() {
+  const calls = [];
+  const measure = (branch, parent) => {
+    calls.push([branch, parent]);
+    const only = (a, b) => history[a].filter((commit) => !history[b].includes(commit)).length;
+    return { ahead: only(branch, parent), behind: only(parent, branch) };
+  };
+  return { calls, measure };
+}
+
+test('findStack finds the branches below and above a branch', () => {
+  const { measure } = countingMeasure();
+  assert.deepStrictEqual(findStack('ui', 'main', Object.keys(history), measure), {
+    trunk: 'main',
+    branches: [
+      { name: 'api', parent: 'main', behind: 0 },
+      { name: 'ui', parent: 'api', behind: 0 },
+      { name: 'docs', parent: 'ui', behind: 0 },
+    ],
+    forks: [],
+  });
+});
+
+test('findStack measures each pair of branches once', () => {
+  const { calls, measure } = countingMeasure();
+  findStack('ui', 'main', Object.keys(history), measure);
+  const pairs = calls.map((pair) => [...pair].sort().join(' '));
+  assert.strictEqual(new Set(pairs).size, pairs.length);
+});
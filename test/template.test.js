@@ -0,0 +1,33 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { TemplateError, renderTemplate } = require('../lib/template');
+
+test('renderTemplate interpolates values, conditions and loops', () => {
+  const source = '# {{title}}\n{{#if items}}\n{{#each items}}\n- {{@index}}: {{this.name}}\n{{/each}}\n{{/if}}\n';
+  const context = { title: 'Fix', items: [{ name: 'a' }, { name: 'b' }] };
+  assert.strictEqual(renderTemplate(source, context), '# Fix\n- 0: a\n- 1: b\n');
+});
+
+test('renderTemplate resolves array lengths', () => {
+  assert.strictEqual(renderTemplate('{{items.length}}', { items: [1, 2] }), '2');
+});
+
+test('renderTemplate rejects placeholders that only exist on the prototype', () => {
+  ['{{constructor}}', '{{toString}}', '{{title.constructor}}', '{{__proto__}}'].forEach((source) => {
+    assert.throws(
+      () => renderTemplate(source, { title: { text: 'Fix' } }),
+      (error) => {
+        assert.ok(error instanceof TemplateError);
+        assert.match(error.message, /Unknown placeholder/);
+        return true;
+      }
+    );
+  });
+});
+
+test('renderTemplate rejects prototype members of loop data', () => {
+  assert.throws(
+    () => renderTemplate('{{#each items}}{{@constructor}}{{/each}}', { items: [1] }),
+    /Unknown placeholder/
+  );
+});
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { updateSummary } = require('../lib/update');
+
+const summary = (type, extra = []) =>
+  [
+    `# ${type}: [Brief Description]`,
+    '',
+    '<!-- TODO: Add a clear, concise title describing the change -->',
+    '',
+    '## Problem Statement',
+    '',
+    '<!-- TODO: Describe the issue or requirement that prompted this PR -->',
+    '',
+    ...extra,
+    '---',
+    '',
+    '## Solution',
+    '',
+    '<!-- TODO: High-level description of your approach -->',
+    '',
+  ].join('\n');
+
+const FIX_SECTIONS = [
+  '### Reproduction Steps',
+  '',
+  '<!-- Exact steps to reproduce the issue -->',
+  '1. Step 1',
+  '2. **Result**: What happens',
+  '',
+  '### Root Cause',
+  '',
+  '<!-- Explain the technical reason for the bug -->',
+  '',
+];
+const FIX = summary('🐛 Fix', FIX_SECTIONS);
+const FEATURE = summary('✨ Feature');
+
+test('updateSummary keeps filled-in sections and regenerates untouched ones', () => {
+  const existing = FEATURE.replace('<!-- TODO: High-level description of your approach -->', 'Cache the results.');
+  const { text, kept } = updateSummary(existing, FEATURE);
+  assert.ok(text.includes('Cache the results.'));
+  assert.deepStrictEqual(kept, ['Solution']);
+});
+
+test('updateSummary replaces an unwritten title when the PR type changes', () => {
+  const { text, kept } = updateSummary(FIX, FEATURE, { alternatives: [FIX] });
+  assert.ok(text.startsWith('# ✨ Feature: [Brief Description]\n'));
+  assert.ok(!kept.includes('🐛 Fix: [Brief Description]'));
+});
+
+test('updateSummary keeps a written title when the PR type changes', () => {
+  const existing = FIX.replace('[Brief Description]', 'Expire stale sessions');
+  const { text, kept } = updateSummary(existing, FEATURE, { alternatives: [FIX] });
+  assert.ok(text.startsWith('# 🐛 Fix: Expire stale sessions\n'));
+  assert.deepStrictEqual(kept, ['🐛 Fix: Expire stale sessions']);
+});
+
+test('updateSummary drops unfilled sections of the previous PR type', () => {
+  const { text, kept } = updateSummary(FIX, FEATURE, { alternatives: [FIX] });
+  assert.strictEqual(text, FEATURE);
+  assert.deepStrictEqual(kept, []);
+});
+
+test('updateSummary keeps filled-in sections of the previous PR type', () => {
+  const existing = FIX.replace(
+    '<!-- Explain the technical reason for the bug -->',
+    '<!-- Explain the technical reason for the bug -->\nThe cache never expired.'
+  );
+  const { text, kept } = updateSummary(existing, FEATURE, { alternatives: [FIX] });
+  assert.ok(
+    text.includes('### Root Cause\n\n<!-- Explain the technical reason for the bug -->\nThe cache never expired.')
+  );
+  assert.ok(!text.includes('### Reproduction Steps'));
+  assert.deepStrictEqual(kept, ['Root Cause']);
+});
+
+test('updateSummary keeps the rule between sections when regenerating Fix as Feature', () => {
+  const existing = FIX.replace(
+    '<!-- TODO: Describe the issue or requirement that prompted this PR -->',
+    'Logins fail.'
+  );
+  const { text, kept } = updateSummary(existing, FEATURE, { alternatives: [FIX] });
+  assert.strictEqual(
+    text,
+    FEATURE.replace('<!-- TODO: Describe the issue or requirement that prompted this PR -->', 'Logins fail.')
+  );
+  assert.ok(text.includes('Logins fail.\n\n---\n\n## Solution'));
+  assert.deepStrictEqual(kept, ['Problem Statement']);
+});
+
+test('updateSummary moves the rule below a kept section of the previous PR type', () => {
+  const existing = FIX.replace(
+    '<!-- Explain the technical reason for the bug -->',
+    '<!-- Explain the technical reason for the bug -->\nThe cache never expired.'
+  );
+  const { text } = updateSummary(existing, FEATURE, { alternatives: [FIX] });
+  assert.ok(text.includes('prompted this PR -->\n\n### Root Cause'));
+  assert.ok(text.includes('The cache never expired.\n\n---\n\n## Solution'));
+});
+
+const changesMade = (...stubs) =>
+  ['## Solution', '', '### Changes Made', '', '#### Other Files', '', ...stubs, '---', ''].join('\n');
+const stub = (file, counts, description = '<!-- TODO: Describe changes in this file -->') =>
+  ['**`' + file + '`** `M` ' + counts, '', description, '- Change description', ''].join('\n');
+
+test('updateSummary regenerates an untouched Changes Made with current line counts', () => {
+  const existing = changesMade(stub('src/a.js', '+1 / -1'));
+  const generated = changesMade(stub('src/a.js', '+5 / -2'), stub('src/b.js', '+3 / -0'));
+  const { text, kept } = updateSummary(existing, generated, { files: ['src/a.js', 'src/b.js'] });
+  assert.strictEqual(text, generated);
+  assert.deepStrictEqual(kept, []);
+});
+
+test('updateSummary refreshes the line counts of untouched stubs in a filled-in Changes Made', () => {
+  const existing = changesMade(stub('src/a.js', '+1 / -1', 'Parses the header.'), stub('src/b.js', '+1 / -0'));
+  const generated = changesMade(stub('src/a.js', '+5 / -2'), stub('src/b.js', '+3 / -0'));
+  const { text, kept } = updateSummary(existing, generated, { files: ['src/a.js', 'src/b.js'] });
+  assert.strictEqual(text, changesMade(stub('src/a.js', '+1 / -1', 'Parses the header.'), stub('src/b.js', '+3 / -0')));
+  assert.deepStrictEqual(kept, ['Changes Made']);
+});